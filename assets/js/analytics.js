@@ -0,0 +1,330 @@
+/**
+ * ==========================================
+ * Analytics - Privacy-respecting event bus
+ * ==========================================
+ * Typed events (program opened, answer viewed, ...) go to pluggable sinks.
+ * Nothing is recorded unless CONFIG.features.enableAnalytics is on, the
+ * browser doesn't send Do-Not-Track and, when required, the visitor agreed.
+ * No cookies, no identifiers, no third-party scripts.
+ *
+ * Sinks (CONFIG.analytics.sinks):
+ *   beacon  - batches events to CONFIG.api.baseURL + endpoint via sendBeacon
+ *   console - logs every event (development)
+ *   storage - keeps the last events in localStorage (development)
+ *
+ * Local testing: node scripts/analytics-stub.js, then open the printed URL.
+ */
+
+// Event types and the data fields each one requires
+const ANALYTICS_EVENTS = {
+  program_open: ['program'],
+  answer_view: ['program', 'question'],
+  reference_open: ['reference'],
+  language_change: ['from', 'to'],
+  lightbox_open: ['image'],
+  outbound_click: ['url', 'label'],
+  booklet_print: ['program'],
+  share: ['type', 'id', 'method']
+};
+
+class Analytics {
+  constructor() {
+    const config = (window.CONFIG && CONFIG.analytics) || {};
+
+    this.config = {
+      endpoint: 'events',
+      sinks: ['beacon'],
+      requireConsent: true,
+      consentKey: 'analytics_consent',
+      storageKey: 'analytics_events',
+      maxStoredEvents: 200,
+      batchSize: 10,
+      flushInterval: 15000,
+      ...config
+    };
+
+    this.sinkFactories = {
+      beacon: () => this.createBeaconSink(),
+      console: () => this.createConsoleSink(),
+      storage: () => this.createStorageSink()
+    };
+    this.sinks = [];
+    this.currentLang = null;
+  }
+
+  /**
+   * Create the configured sinks and start listening
+   */
+  init() {
+    if (!this.isFeatureEnabled()) return;
+
+    this.config.sinks.forEach(name => this.addSink(name));
+
+    // language_change: the first languageChanged is the initial load
+    this.currentLang = window.i18n ? window.i18n.getCurrentLang() : null;
+    window.addEventListener('languageChanged', (e) => {
+      const lang = e.detail && e.detail.lang;
+      if (this.currentLang && lang && lang !== this.currentLang) {
+        this.track('language_change', { from: this.currentLang, to: lang });
+      }
+      this.currentLang = lang;
+    });
+
+    // outbound_click: any link leaving the site, labelled by data-track
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest && e.target.closest('a[href]');
+      if (!link || link.origin === window.location.origin || !/^https?:$/.test(link.protocol)) return;
+
+      this.track('outbound_click', {
+        url: link.href,
+        label: link.dataset.track || link.hostname
+      });
+    });
+
+    // Last chance to send a pending batch
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
+    });
+    window.addEventListener('pagehide', () => this.flush());
+
+    if (this.getConsent() === null && this.config.requireConsent && !this.isDoNotTrack()) {
+      this.showConsentPrompt();
+    }
+  }
+
+  /**
+   * Analytics switched on in CONFIG.features
+   */
+  isFeatureEnabled() {
+    return !!(window.CONFIG && CONFIG.features && CONFIG.features.enableAnalytics);
+  }
+
+  /**
+   * The browser asks not to be tracked
+   */
+  isDoNotTrack() {
+    const value = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return value === '1' || value === 'yes' || navigator.globalPrivacyControl === true;
+  }
+
+  /**
+   * Whether events are recorded right now
+   */
+  isEnabled() {
+    if (!this.isFeatureEnabled() || this.isDoNotTrack()) return false;
+    return !this.config.requireConsent || this.getConsent() === true;
+  }
+
+  /**
+   * Register a custom sink: factory() returns { send(event), flush() }
+   */
+  registerSink(name, factory) {
+    this.sinkFactories[name] = factory;
+  }
+
+  /**
+   * Activate a registered sink by name
+   */
+  addSink(name) {
+    const factory = this.sinkFactories[name];
+    if (!factory) {
+      console.warn(`Unknown analytics sink: ${name}`);
+      return;
+    }
+    this.sinks.push(factory());
+  }
+
+  /**
+   * Record an event. Returns false when it was dropped.
+   */
+  track(type, data = {}) {
+    const fields = ANALYTICS_EVENTS[type];
+    if (!fields) {
+      console.warn(`Unknown analytics event: ${type}`);
+      return false;
+    }
+
+    const missing = fields.filter(field => data[field] === undefined);
+    if (missing.length > 0) {
+      console.warn(`Analytics event ${type} is missing: ${missing.join(', ')}`);
+      return false;
+    }
+
+    if (!this.isEnabled()) return false;
+
+    const event = {
+      type,
+      data: fields.reduce((picked, field) => ({ ...picked, [field]: data[field] }), {}),
+      lang: window.i18n ? window.i18n.getCurrentLang() : null,
+      time: new Date().toISOString()
+    };
+
+    this.sinks.forEach(sink => sink.send(event));
+    return true;
+  }
+
+  /**
+   * Send whatever the sinks are holding
+   */
+  flush() {
+    this.sinks.forEach(sink => sink.flush && sink.flush());
+  }
+
+  /**
+   * URL the beacon sink posts to
+   */
+  getEndpoint() {
+    const base = (window.CONFIG && CONFIG.api && CONFIG.api.baseURL)
+      || new URL(Utils.resolvePath('./'), window.location.href).href;
+    return new URL(this.config.endpoint, base).href;
+  }
+
+  /**
+   * Batches events and posts them with navigator.sendBeacon
+   */
+  createBeaconSink() {
+    const queue = [];
+    let timer = null;
+
+    const flush = () => {
+      clearTimeout(timer);
+      timer = null;
+      if (queue.length === 0) return;
+
+      // text/plain keeps the request CORS-simple (no preflight)
+      const body = new Blob([JSON.stringify({ events: queue.splice(0) })], { type: 'text/plain' });
+      const url = this.getEndpoint();
+
+      if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+
+      fetch(url, { method: 'POST', body, keepalive: true, credentials: 'omit' }).catch(() => {});
+    };
+
+    return {
+      send: (event) => {
+        queue.push(event);
+        if (queue.length >= this.config.batchSize) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, this.config.flushInterval);
+        }
+      },
+      flush
+    };
+  }
+
+  /**
+   * Logs events to the console
+   */
+  createConsoleSink() {
+    return {
+      send: event => console.log('📊 Analytics:', event.type, event.data)
+    };
+  }
+
+  /**
+   * Keeps the most recent events in localStorage
+   */
+  createStorageSink() {
+    return {
+      send: (event) => {
+        try {
+          const events = this.getStoredEvents();
+          events.push(event);
+          localStorage.setItem(this.config.storageKey,
+            JSON.stringify(events.slice(-this.config.maxStoredEvents)));
+        } catch (error) {
+          console.warn('Failed to store analytics event');
+        }
+      }
+    };
+  }
+
+  /**
+   * Events kept by the storage sink
+   */
+  getStoredEvents() {
+    try {
+      return JSON.parse(localStorage.getItem(this.config.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Saved consent: true, false or null (not asked yet)
+   */
+  getConsent() {
+    try {
+      const value = localStorage.getItem(this.config.consentKey);
+      return value === null ? null : value === 'granted';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the visitor's choice
+   */
+  setConsent(granted) {
+    try {
+      localStorage.setItem(this.config.consentKey, granted ? 'granted' : 'denied');
+    } catch (error) {
+      console.warn('Failed to save analytics consent');
+    }
+
+    const prompt = document.getElementById('analyticsConsent');
+    if (prompt) prompt.remove();
+  }
+
+  /**
+   * Ask for consent once, in a small non-blocking banner
+   */
+  showConsentPrompt() {
+    if (document.getElementById('analyticsConsent')) return;
+
+    const t = key => (window.i18n ? window.i18n.t(key) : key);
+
+    const prompt = document.createElement('div');
+    prompt.id = 'analyticsConsent';
+    prompt.className = 'update-toast consent-toast';
+    prompt.setAttribute('role', 'region');
+    prompt.setAttribute('aria-labelledby', 'analyticsConsentText');
+
+    const text = document.createElement('span');
+    text.id = 'analyticsConsentText';
+    text.setAttribute('data-i18n', 'analytics.consent');
+    text.textContent = t('analytics.consent');
+
+    const accept = document.createElement('button');
+    accept.type = 'button';
+    accept.className = 'update-toast-btn';
+    accept.setAttribute('data-i18n', 'analytics.accept');
+    accept.textContent = t('analytics.accept');
+    accept.addEventListener('click', () => this.setConsent(true));
+
+    const decline = document.createElement('button');
+    decline.type = 'button';
+    decline.className = 'update-toast-dismiss';
+    decline.setAttribute('data-i18n', 'analytics.decline');
+    decline.textContent = t('analytics.decline');
+    decline.addEventListener('click', () => this.setConsent(false));
+
+    prompt.append(text, accept, decline);
+    document.body.appendChild(prompt);
+  }
+}
+
+// Create global instance
+const analytics = new Analytics();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => analytics.init());
+} else {
+  analytics.init();
+}
+
+// Export for use in other modules
+window.analytics = analytics;
+window.ANALYTICS_EVENTS = ANALYTICS_EVENTS;
@@ -7,6 +7,7 @@
 
 class App {
   constructor() {
+    this.modals = new ModalManager();
     this.init();
   }
 
@@ -23,9 +24,8 @@ class App {
 
   setup() {
     this.setupModals();
-    this.setupLightbox();
-    this.setupCarousels();
     this.setupSmoothScroll();
+    this.setupServiceWorker();
 
     // Listen for language changes
     window.addEventListener('languageChanged', (e) => {
@@ -36,118 +36,165 @@ class App {
   }
 
   /**
-   * Setup modal functionality
+   * Setup modal functionality (see ModalManager in modals.js).
+   * The gallery lightbox is driven by gallery.js.
    */
   setupModals() {
-    // Close buttons
-    document.querySelectorAll('.close-modal').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const modal = btn.closest('.modal-overlay');
-        if (modal) {
-          modal.classList.remove('show');
-        }
-      });
-    });
-
-    // Close modal when clicking outside
-    document.querySelectorAll('.modal-overlay').forEach(modal => {
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-          modal.classList.remove('show');
-        }
-      });
-    });
+    this.modals.registerAll('.modal-overlay, .lightbox');
+  }
 
-    // Escape key to close modals
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        document.querySelectorAll('.modal-overlay.show').forEach(modal => {
-          modal.classList.remove('show');
+  /**
+   * Setup smooth scroll for anchor links (delegated, the section links are
+   * rendered later by sections.js)
+   */
+  setupSmoothScroll() {
+    document.addEventListener('click', (e) => {
+      const anchor = e.target.closest && e.target.closest('a[href^="#"]');
+      if (!anchor) return;
+
+      // #/... links are routes (see router.js)
+      const href = anchor.getAttribute('href');
+      if (href === '#' || href.startsWith('#/')) return;
+
+      const target = document.getElementById(decodeURIComponent(href.slice(1)));
+      if (target) {
+        e.preventDefault();
+        const offset = 100; // Account for fixed navbar
+        const targetPosition = target.offsetTop - offset;
+
+        window.scrollTo({
+          top: targetPosition,
+          behavior: 'smooth'
         });
       }
     });
   }
 
   /**
-   * Setup lightbox for images
+   * Register the offline service worker (sw.js). It is only used when
+   * CONFIG.performance.enableServiceWorker and cacheAssets are both on;
+   * otherwise a worker installed by an earlier deploy is removed (only ours:
+   * other sites may share the origin, e.g. on github.io).
    */
-  setupLightbox() {
-    const lightbox = document.querySelector('.lightbox');
-    if (!lightbox) return;
-
-    const lightboxImg = lightbox.querySelector('img');
-    const closeBtn = lightbox.querySelector('.close-lightbox');
-
-    // Add click handlers to zoomable images
-    document.querySelectorAll('[data-lightbox]').forEach(img => {
-      img.style.cursor = 'zoom-in';
-      img.addEventListener('click', () => {
-        lightboxImg.src = img.src;
-        lightboxImg.alt = img.alt || '';
-        lightbox.classList.add('show');
-      });
-    });
-
-    // Close lightbox
-    const closeLightbox = () => {
-      lightbox.classList.remove('show');
-    };
-
-    if (closeBtn) {
-      closeBtn.addEventListener('click', closeLightbox);
+  setupServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const { enableServiceWorker, cacheAssets } = CONFIG.performance;
+    if (!enableServiceWorker || !cacheAssets) {
+      // sw.js sits at the site root, which is its default scope
+      const scope = new URL(Utils.resolvePath('./'), window.location.href).href;
+      navigator.serviceWorker.getRegistrations()
+        .then(registrations => registrations
+          .filter(registration => registration.scope === scope)
+          .forEach(registration => registration.unregister()))
+        .catch(() => {});
+      return;
     }
 
-    lightbox.addEventListener('click', (e) => {
-      if (e.target === lightbox) {
-        closeLightbox();
+    // A shell file changed on the server while we were served the cached one
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'CONTENT_UPDATED') {
+        this.showUpdatePrompt(null);
       }
     });
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && lightbox.classList.contains('show')) {
-        closeLightbox();
-      }
+    // The new worker took over after the user accepted the update
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.updateAccepted) window.location.reload();
     });
+
+    // Keep the chosen language (and its fallbacks) available offline
+    window.addEventListener('languageChanged', () => this.cacheLocaleOffline());
+
+    const register = () => {
+      navigator.serviceWorker.register(Utils.resolvePath('./sw.js')).then(registration => {
+        const onInstalled = (worker) => {
+          // With no controller this is the first install, not an update
+          if (worker && navigator.serviceWorker.controller) this.showUpdatePrompt(worker);
+        };
+
+        if (registration.waiting) onInstalled(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') onInstalled(worker);
+          });
+        });
+
+        this.cacheLocaleOffline();
+      }).catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+    };
+
+    // Don't compete with the first page load for bandwidth
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register, { once: true });
+    }
   }
 
   /**
-   * Setup carousel animations
+   * Ask the service worker to cache every file of the active locales
    */
-  setupCarousels() {
-    // Pause animation on hover
-    document.querySelectorAll('.animate-news, .animate-media').forEach(element => {
-      element.addEventListener('mouseenter', () => {
-        element.style.animationPlayState = 'paused';
-      });
+  cacheLocaleOffline() {
+    const i18n = window.i18n;
+    if (!i18n || !i18n.getCurrentLang() || !navigator.serviceWorker.controller) return;
 
-      element.addEventListener('mouseleave', () => {
-        element.style.animationPlayState = 'running';
-      });
-    });
+    // Absolute: the worker resolves URLs against its own location
+    const urls = i18n.getFallbackChain()
+      .filter(lang => i18n.getLocaleHash(lang))
+      .reduce((all, lang) => all.concat(i18n.getLocaleUrls(lang)), [])
+      .map(url => new URL(url, window.location.href).href);
+
+    navigator.serviceWorker.controller.postMessage({ type: 'CACHE_LOCALE', urls });
   }
 
   /**
-   * Setup smooth scroll for anchor links
+   * Show the "update available" prompt. With a waiting worker, accepting
+   * activates it (the page reloads on controllerchange); otherwise the
+   * cache is already fresh and a reload is enough.
    */
-  setupSmoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener('click', function(e) {
-        const href = this.getAttribute('href');
-        if (href === '#' || href === '') return;
-
-        const target = document.querySelector(href);
-        if (target) {
-          e.preventDefault();
-          const offset = 100; // Account for fixed navbar
-          const targetPosition = target.offsetTop - offset;
-
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
-        }
-      });
+  showUpdatePrompt(worker) {
+    if (worker) this.waitingWorker = worker;
+    if (document.getElementById('updateToast')) return;
+
+    const t = key => (window.i18n ? window.i18n.t(key) : key);
+
+    const toast = document.createElement('div');
+    toast.id = 'updateToast';
+    toast.className = 'update-toast';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.setAttribute('data-i18n', 'updates.available');
+    text.textContent = t('updates.available');
+
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'update-toast-btn';
+    reload.setAttribute('data-i18n', 'updates.reload');
+    reload.textContent = t('updates.reload');
+    reload.addEventListener('click', () => {
+      if (this.waitingWorker) {
+        this.updateAccepted = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+      } else {
+        window.location.reload();
+      }
     });
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'update-toast-dismiss';
+    dismiss.setAttribute('data-i18n', 'updates.dismiss');
+    dismiss.textContent = t('updates.dismiss');
+    dismiss.addEventListener('click', () => toast.remove());
+
+    toast.append(text, reload, dismiss);
+    document.body.appendChild(toast);
   }
 
   /**
@@ -161,31 +208,39 @@ class App {
   }
 
   /**
-   * Show a modal by ID
+   * Show a modal by ID, on top of any open modal
    */
   showModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-      modal.classList.add('show');
-    }
+    return this.modals.open(modalId);
   }
 
   /**
-   * Hide a modal by ID
+   * Hide a modal by ID (and any modal opened above it)
    */
-  hideModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-      modal.classList.remove('show');
-    }
+  hideModal(modalId, options) {
+    this.modals.close(modalId, options);
+  }
+
+  /**
+   * Hide every open modal
+   */
+  hideAllModals(options) {
+    this.modals.closeAll(options);
+  }
+
+  /**
+   * Check whether a modal is open
+   */
+  isModalOpen(modalId) {
+    return this.modals.isOpen(modalId);
   }
 
   /**
-   * Utility: Format numbers with locale-specific formatting
+   * ID of the top-most open modal, or null
    */
-  formatNumber(number) {
-    const lang = window.i18n?.getCurrentLang() || 'en';
-    return new Intl.NumberFormat(lang).format(number);
+  getTopModalId() {
+    const top = this.modals.top();
+    return top ? top.id : null;
   }
 }
 
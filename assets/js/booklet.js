@@ -0,0 +1,252 @@
+/**
+ * ==========================================
+ * Booklet - Printable program Q&A
+ * ==========================================
+ * Renders the questions and answers of one program (or of all of them) in
+ * the active language into a print layout: cover, table of contents, one
+ * section per program and a source footer on every page. Page numbers and
+ * page breaks are in assets/css/print.css; the browser's "Save as PDF"
+ * turns it into a handout.
+ *
+ * The booklet only exists while printing, a plain Ctrl+P prints the page.
+ */
+
+class Booklet {
+  constructor() {
+    this.element = null;
+    this.printing = false;
+  }
+
+  /**
+   * Translation helper
+   */
+  t(key, params) {
+    return window.i18n ? window.i18n.t(`booklet.${key}`, params) : key;
+  }
+
+  /**
+   * Build the booklet and open the print dialog; without a program key all
+   * programs go in one booklet
+   */
+  async print(programKey) {
+    if (this.printing || !window.i18n) return;
+    this.printing = true;
+
+    // Left over when a browser didn't fire afterprint
+    if (this.element) this.cleanup();
+
+    try {
+      await window.i18n.loadNamespace('programs');
+
+      const data = window.i18n.get('programs.data');
+      const keys = programKey ? [programKey] : Object.keys(data || {});
+      const programs = keys
+        .map(key => ({ key, ...(data && data[key]) }))
+        .filter(program => Array.isArray(program.questions));
+
+      if (programs.length === 0) {
+        this.printing = false;
+        return;
+      }
+
+      const title = programs.length === 1 ? programs[0].title : this.t('allTitle');
+      this.element = this.render(title, programs);
+      document.body.appendChild(this.element);
+      document.body.classList.add('booklet-printing');
+
+      // The PDF file name comes from the document title
+      this.savedTitle = document.title;
+      document.title = title;
+
+      await this.imagesReady();
+
+      window.addEventListener('afterprint', () => this.cleanup(), { once: true });
+      if (window.analytics) window.analytics.track('booklet_print', { program: programKey || 'all' });
+      this.printing = false;
+      window.print();
+    } catch (error) {
+      console.error('Failed to print booklet:', error);
+      this.cleanup();
+      this.printing = false;
+    }
+  }
+
+  /**
+   * Remove the booklet once the dialog is closed
+   */
+  cleanup() {
+    if (this.element) this.element.remove();
+    this.element = null;
+    document.body.classList.remove('booklet-printing');
+    if (this.savedTitle !== undefined) document.title = this.savedTitle;
+    this.savedTitle = undefined;
+  }
+
+  /**
+   * Wait for the cover images, print doesn't
+   */
+  imagesReady() {
+    const images = Array.from(this.element.querySelectorAll('img'));
+    return Promise.all(images.map(img => (img.decode ? img.decode().catch(() => {}) : null)));
+  }
+
+  /**
+   * Create an element with a class and text
+   */
+  create(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * The whole booklet: cover, contents, programs and footer
+   */
+  render(title, programs) {
+    const lang = window.i18n.getCurrentLang();
+    const booklet = this.create('article', 'booklet');
+    booklet.id = 'booklet';
+    booklet.lang = lang;
+    booklet.dir = window.i18n.getDirection();
+
+    booklet.append(
+      this.renderCover(title, programs),
+      this.renderContents(programs),
+      ...programs.map((program, index) => this.renderProgram(program, index, programs.length > 1)),
+      this.renderFooter()
+    );
+    return booklet;
+  }
+
+  /**
+   * Cover page
+   */
+  renderCover(title, programs) {
+    const cover = this.create('section', 'booklet-cover');
+
+    const logo = this.create('img', 'booklet-logo');
+    logo.src = Utils.resolvePath('./assets/images/logo.png');
+    logo.alt = '';
+
+    const date = formatter.date(new Date(), { dateStyle: 'long' });
+    const count = programs.reduce((total, program) => total + program.questions.length, 0);
+
+    cover.append(
+      logo,
+      this.create('p', 'booklet-site', window.i18n.t('footer.title')),
+      this.create('h1', 'booklet-title', title),
+      this.create('p', 'booklet-subtitle', this.t('subtitle', { count })),
+      this.create('p', 'booklet-date', this.t('generated', { date }))
+    );
+    return cover;
+  }
+
+  /**
+   * Table of contents, linked to the sections (links survive in PDFs)
+   */
+  renderContents(programs) {
+    const contents = this.create('nav', 'booklet-contents');
+    contents.appendChild(this.create('h2', 'booklet-heading', this.t('contents')));
+
+    const list = this.create('ol', 'booklet-toc');
+    programs.forEach(program => {
+      const item = this.create('li');
+
+      if (programs.length > 1) {
+        const link = this.create('a', 'booklet-toc-program', program.title);
+        link.href = `#booklet-${program.key}`;
+        item.appendChild(link);
+      }
+
+      const questions = this.create('ol', 'booklet-toc-questions');
+      program.questions.forEach((question, index) => {
+        const entry = this.create('li');
+        const link = this.create('a', null, question);
+        link.href = `#booklet-${program.key}-${index + 1}`;
+        entry.appendChild(link);
+        questions.appendChild(entry);
+      });
+
+      item.appendChild(questions);
+      list.appendChild(item);
+    });
+
+    contents.appendChild(list);
+    return contents;
+  }
+
+  /**
+   * One program: its questions and answers
+   */
+  renderProgram(program, index, withHeading) {
+    const section = this.create('section', 'booklet-program');
+    section.id = `booklet-${program.key}`;
+
+    if (withHeading) {
+      section.appendChild(this.create('h2', 'booklet-heading', `${formatter.number(index + 1)}. ${program.title}`));
+    }
+
+    program.questions.forEach((question, number) => {
+      const entry = this.create('div', 'booklet-entry');
+      entry.id = `booklet-${program.key}-${number + 1}`;
+
+      entry.append(
+        this.create('h3', 'booklet-question', `${formatter.number(number + 1)}. ${question}`),
+        this.renderAnswer(program.answers ? program.answers[number] : '')
+      );
+      section.appendChild(entry);
+    });
+
+    return section;
+  }
+
+  /**
+   * An answer: "* " lines become a list, other lines paragraphs. Answers
+   * written as HTML go through the sanitizer, like in the answer modal.
+   */
+  renderAnswer(answer) {
+    const container = this.create('div', 'booklet-answer');
+    const text = String(answer || '');
+
+    if (/<[a-z][\s\S]*>/i.test(text)) {
+      Sanitizer.setHTML(container, text, 'booklet');
+      return container;
+    }
+
+    let list = null;
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const bullet = /^[*•-]\s+/.exec(line);
+      if (bullet) {
+        if (!list) list = container.appendChild(this.create('ul'));
+        list.appendChild(this.create('li', null, line.slice(bullet[0].length)));
+      } else {
+        list = null;
+        container.appendChild(this.create('p', null, line));
+      }
+    });
+
+    return container;
+  }
+
+  /**
+   * Source line repeated at the bottom of every printed page
+   */
+  renderFooter() {
+    const site = window.i18n.t('footer.title');
+    const url = window.location.href.split('#')[0];
+    return this.create('footer', 'booklet-footer', this.t('source', { site, url }));
+  }
+}
+
+// Create global instance
+const booklet = new Booklet();
+
+// Print the booklet of a program, or of all programs
+function printBooklet(programKey) {
+  return booklet.print(programKey);
+}
+
+// Export for use in other modules
+window.booklet = booklet;
+window.printBooklet = printBooklet;
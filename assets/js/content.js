@@ -1,6 +1,6 @@
 /**
  * ==========================================
- * Content Data - Programs, Questions, Ticker
+ * Content Data - Programs, Questions, Statistics
  * ==========================================
  * Contains all dynamic content for the application
  */
@@ -9,82 +9,140 @@
  * Helper Functions to Load Content from i18n
  */
 
-// Get ticker content from current language
-function getTickerContent() {
-  if (window.i18n && window.i18n.translations) {
-    const items = window.i18n.get('ticker.items');
-    return Array.isArray(items) ? items : [];
-  }
-  return [];
-}
-
 // Get program data from current language
 function getProgramData(programKey) {
   if (window.i18n && window.i18n.translations) {
-    return window.i18n.get(`programs.data.${programKey}`);
+    // get() returns the key itself for an unknown program
+    const program = window.i18n.get(`programs.data.${programKey}`);
+    return program && typeof program === 'object' ? program : null;
   }
   return null;
 }
 
-// Initialize ticker
-function updateTicker() {
-  const tickerTrack = document.getElementById('tickerTrack');
-  if (!tickerTrack) return;
+// Load an i18n namespace on demand (programs, references, ...)
+async function ensureNamespace(namespace) {
+  if (window.i18n && typeof window.i18n.loadNamespace === 'function') {
+    return window.i18n.loadNamespace(namespace);
+  }
+  return false;
+}
 
-  // Get ticker items from i18n
-  const tickerItems = getTickerContent();
+// Loading placeholder shown inside a modal while its namespace loads
+function showLoading(container) {
+  const text = window.i18n ? window.i18n.get('common.loading') : '...';
+  const message = document.createElement('p');
+  message.className = 'modal-loading';
+  message.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ';
+  message.append(text);
+  container.replaceChildren(message);
+}
 
-  // Create ticker content (duplicate for seamless loop)
-  const content = [...tickerItems, ...tickerItems];
-  tickerTrack.innerHTML = content.map(text => `<span>${text}</span>`).join('');
+// Reflect an opened modal in the URL so it can be shared (see router.js)
+function updateRoute(path) {
+  if (window.router) {
+    window.router.update(path);
+  }
 }
 
-// Open program modal with questions
-function openProgram(programKey) {
-  const program = getProgramData(programKey);
-  if (!program) return;
+// Send a typed event to the analytics bus (dropped unless enabled, see analytics.js)
+function trackEvent(type, data) {
+  if (window.analytics) {
+    window.analytics.track(type, data);
+  }
+}
 
+// Open program modal with questions
+async function openProgram(programKey) {
   const modal = document.getElementById('qModal');
   const modalTitle = document.getElementById('modalTitle');
   const questionsContainer = document.getElementById('questionsContainer');
+  const quizStartBtn = document.getElementById('quizStartBtn');
 
-  modalTitle.textContent = program.title;
-  questionsContainer.innerHTML = program.questions.map((q, index) =>
-    `<div class="q-item" onclick="showAnswer('${programKey}', ${index})">${q}</div>`
-  ).join('');
+  // Show the modal right away, questions arrive with the programs namespace
+  modal.dataset.program = programKey;
+  modalTitle.textContent = window.i18n ? window.i18n.get(`programs.${programKey}`) : '';
+  showLoading(questionsContainer);
+  if (quizStartBtn) quizStartBtn.hidden = true;
+  window.app.showModal('qModal');
+  updateRoute(`/program/${programKey}`);
+  trackEvent('program_open', { program: programKey });
+
+  await ensureNamespace('programs');
+
+  // Another program was opened while this one was loading
+  if (modal.dataset.program !== programKey) return;
+
+  const program = getProgramData(programKey);
+  if (!program || !Array.isArray(program.questions)) {
+    const message = document.createElement('p');
+    message.className = 'modal-loading';
+    message.textContent = window.i18n ? window.i18n.get('common.error') : '';
+    questionsContainer.replaceChildren(message);
+    return;
+  }
 
-  modal.classList.add('show');
+  modalTitle.textContent = program.title;
+  if (quizStartBtn) quizStartBtn.hidden = !program.quiz;
+  questionsContainer.replaceChildren(...program.questions.map((question, index) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'q-item';
+    Sanitizer.setInlineHTML(item, question, `programs.data.${programKey}.questions.${index}`);
+    item.addEventListener('click', () => showAnswer(programKey, index));
+    return item;
+  }));
 }
 
 // Show answer modal
-function showAnswer(programKey, questionIndex) {
+async function showAnswer(programKey, questionIndex) {
+  await ensureNamespace('programs');
+
   const program = getProgramData(programKey);
-  if (!program) return;
+  const count = program && Array.isArray(program.questions) ? program.questions.length : 0;
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= count) {
+    console.warn(`No question ${questionIndex + 1} in program: ${programKey}`);
+    return;
+  }
 
   const aModal = document.getElementById('aModal');
   const answerTitle = document.getElementById('answerTitle');
   const answerContent = document.getElementById('answerContent');
 
-  answerTitle.textContent = program.questions[questionIndex];
-  answerContent.innerHTML = `<p class="ans-text">${program.answers[questionIndex]}</p>`;
+  aModal.dataset.program = programKey;
+  aModal.dataset.question = questionIndex;
+  Sanitizer.setInlineHTML(answerTitle, program.questions[questionIndex], `programs.data.${programKey}.questions.${questionIndex}`);
+  const answer = document.createElement('p');
+  answer.className = 'ans-text';
+  Sanitizer.setHTML(answer, program.answers[questionIndex], `programs.data.${programKey}.answers.${questionIndex}`);
+  answerContent.replaceChildren(answer);
+
+  // Open answer modal above the questions, closing it returns to them
+  window.app.showModal('aModal');
+  updateRoute(`/program/${programKey}/${questionIndex + 1}`);
+  trackEvent('answer_view', { program: programKey, question: questionIndex + 1 });
+}
+
+// Go from an answer back to its program's question list
+function backToQuestions() {
+  const programKey = document.getElementById('aModal').dataset.program;
 
-  // Close questions modal
-  document.getElementById('qModal').classList.remove('show');
+  window.app.hideModal('aModal');
 
-  // Open answer modal
-  aModal.classList.add('show');
+  // Opened from a deep link, the question list isn't underneath
+  if (programKey && !window.app.isModalOpen('qModal')) {
+    openProgram(programKey);
+  }
 }
 
 // Open messages modal
 function openMessagesModal() {
-  const modal = document.getElementById('messages-modal');
-  if (modal) {
-    modal.classList.add('show');
+  if (window.app.showModal('messages-modal')) {
+    updateRoute('/messages');
   }
 }
 
 // Open reference modal
-function openReferenceModal(refId) {
+async function openReferenceModal(refId) {
   // Extract the reference name from refId (e.g., 'reference-islam' => 'islam')
   const refName = refId.replace('reference-', '');
 
@@ -105,26 +163,34 @@ function openReferenceModal(refId) {
     return;
   }
 
+  // Show the modal right away, the essay arrives with the references namespace
+  modal.dataset.reference = refName;
+  modalTitle.textContent = window.i18n.get(`references.${refName}`);
+  showLoading(modalContent);
+  window.app.showModal('referenceModal');
+  updateRoute(`/reference/${refName}`);
+  trackEvent('reference_open', { reference: refName });
+
+  await ensureNamespace('references');
+
+  // Another reference was opened while this one was loading
+  if (modal.dataset.reference !== refName) return;
+
   // Get content from i18n
   const title = window.i18n.get(`references.modals.${refName}.title`);
   const content = window.i18n.get(`references.modals.${refName}.content`);
 
-  console.log('Title:', title);
-  console.log('Content:', content);
-
   modalTitle.textContent = title || refName;
-  modalContent.innerHTML = `<p style="margin: 0; padding: 15px 0;">${content || 'Content not available'}</p>`;
-
-  modal.classList.add('show');
-  console.log('Modal shown');
+  const essay = document.createElement('p');
+  essay.style.margin = '0';
+  essay.style.padding = '15px 0';
+  Sanitizer.setHTML(essay, content || 'Content not available', `references.modals.${refName}.content`);
+  modalContent.replaceChildren(essay);
 }
 
 // Close reference modal
 function closeReferenceModal() {
-  const modal = document.getElementById('referenceModal');
-  if (modal) {
-    modal.classList.remove('show');
-  }
+  window.app.hideModal('referenceModal');
 }
 
 // Scroll to section
@@ -148,38 +214,217 @@ function scrollToTop() {
   });
 }
 
+// Statistics dataset (data/statistics.json), loaded once. Each item:
+// { id, value, unit: 'count' | Intl unit ('hour', 'percent'...), currency?,
+//   notation?: 'compact', decimals?, year, source?: { url } }
+// source.url is set only for a publication that backs the figure.
+// Labels and source names are translated under stats.<id> / losses.<id>.
+let statisticsData = null;
+let countersObserver = null;
+const countedStatistics = new Set();
+
+// Load the statistics dataset
+async function loadStatistics() {
+  if (!statisticsData) {
+    const response = await fetch(Utils.resolvePath(CONFIG.data.statistics));
+    if (!response.ok) {
+      throw new Error(`Statistics not found: ${response.status}`);
+    }
+    statisticsData = await response.json();
+  }
+  return statisticsData;
+}
+
+// Find a statistic by id
+function getStatistic(id) {
+  if (!statisticsData) return null;
+
+  for (const group of Object.keys(statisticsData.groups)) {
+    const item = statisticsData.groups[group].find(entry => entry.id === id);
+    if (item) return item;
+  }
+  return null;
+}
+
+// Group (stats, losses...) a statistic belongs to
+function getStatisticGroup(id) {
+  if (!statisticsData) return null;
+
+  return Object.keys(statisticsData.groups)
+    .find(group => statisticsData.groups[group].some(entry => entry.id === id)) || null;
+}
+
+// Scroll to a statistic card and focus it (#/stat/<id> deep links)
+async function showStatistic(id) {
+  if (window.sectionRegistry) await window.sectionRegistry.ready;
+  if (!document.getElementById(`stat-${id}`)) await renderStatistics();
+
+  const card = document.getElementById(`stat-${id}`);
+  if (!card) return;
+
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.focus({ preventScroll: true });
+}
+
+// Format a statistic value (or an animation frame of it) for the current language
+function formatStatistic(item, value) {
+  const options = {};
+
+  if (item.currency) {
+    options.style = 'currency';
+    options.currency = item.currency;
+  } else if (item.unit && item.unit !== 'count') {
+    options.style = 'unit';
+    options.unit = item.unit;
+    options.unitDisplay = 'long';
+  }
+
+  if (item.notation === 'compact') {
+    options.notation = 'compact';
+    options.compactDisplay = 'long';
+  }
+
+  // Compact notation rounds to significant digits unless told otherwise
+  if (item.decimals !== undefined || item.notation !== 'compact') {
+    options.maximumFractionDigits = item.decimals || 0;
+  }
+
+  return formatter.number(value, options);
+}
+
+// Citation text of a statistic, e.g. "Source: CAPMAS, 2023"
+function formatCitation(group, item) {
+  const source = window.i18n.get(`${group}.${item.id}.source`);
+  const dated = item.year ? 'yes' : 'no';
+  const year = item.year ? formatter.year(item.year) : '';
+
+  return window.i18n.t('stats.citation', { source, year, dated });
+}
+
+// Build a statistic card
+function createStatisticCard(group, item, isLoss) {
+  const card = document.createElement('div');
+  card.className = isLoss ? 'card loss-card' : 'card';
+  card.id = `stat-${item.id}`;
+  card.tabIndex = 0;
+
+  const popup = document.createElement('div');
+  popup.className = 'info-popup';
+  popup.id = `stat-source-${item.id}`;
+  popup.appendChild(document.createTextNode(formatCitation(group, item)));
+
+  if (item.source && item.source.url) {
+    const link = document.createElement('a');
+    link.href = item.source.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.className = 'info-popup-link';
+    link.textContent = window.i18n.get('stats.viewSource');
+    popup.append(document.createElement('br'), link);
+  }
+
+  const num = document.createElement('span');
+  num.className = isLoss ? 'stat-num loss-num counter' : 'stat-num counter';
+  num.dataset.stat = item.id;
+  num.dataset.target = String(item.value);
+
+  // Screen readers get the final value, not the animation frames
+  num.setAttribute('aria-label', formatStatistic(item, item.value));
+  num.textContent = formatStatistic(item, countedStatistics.has(item.id) ? item.value : 0);
+
+  const label = document.createElement('p');
+  label.textContent = window.i18n.get(`${group}.${item.id}.label`);
+
+  const share = document.createElement('button');
+  share.type = 'button';
+  share.className = 'stat-share-btn';
+  share.title = window.i18n.get('share.action');
+  share.setAttribute('aria-label', share.title);
+  share.innerHTML = '<i class="fas fa-share-nodes" aria-hidden="true"></i>';
+  share.addEventListener('click', () => shareStatistic(item.id));
+
+  card.setAttribute('aria-describedby', popup.id);
+  card.append(popup, num, label, share);
+  return card;
+}
+
+// Render the statistics grids of the page sections from the dataset
+async function renderStatistics() {
+  // Labels and formats need a loaded language
+  if (!window.i18n || !window.i18n.getCurrentLang()) return;
+
+  try {
+    await loadStatistics();
+  } catch (error) {
+    console.error('Failed to load statistics:', error);
+    return;
+  }
+
+  document.querySelectorAll('[data-stats-group]').forEach(grid => {
+    const group = grid.dataset.statsGroup;
+    const items = statisticsData.groups[group] || [];
+    const isLoss = grid.dataset.statsVariant === 'loss';
+
+    grid.replaceChildren(...items.map(item => createStatisticCard(group, item, isLoss)));
+  });
+
+  initCountersObserver();
+}
+
+// Animate a counter from 0 to its target with requestAnimationFrame
+function animateCounter(el) {
+  const item = getStatistic(el.dataset.stat);
+  if (!item) return;
+
+  const target = item.value;
+  const duration = 2000;
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  countedStatistics.add(item.id);
+
+  if (reduceMotion || typeof requestAnimationFrame !== 'function') {
+    el.textContent = formatStatistic(item, target);
+    return;
+  }
+
+  let startTime = null;
+  const frame = (now) => {
+    if (startTime === null) startTime = now;
+    const progress = Math.min((now - startTime) / duration, 1);
+
+    // Ease out: fast start, slow finish on the real value
+    const eased = 1 - Math.pow(1 - progress, 3);
+    el.textContent = formatStatistic(item, progress < 1 ? target * eased : target);
+
+    if (progress < 1 && el.isConnected) {
+      requestAnimationFrame(frame);
+    }
+  };
+  requestAnimationFrame(frame);
+}
+
 // Initialize counters with Intersection Observer
 function initCountersObserver() {
-  const counters = document.querySelectorAll('.counter');
-  counters.forEach(c => c.innerText = '0');
+  if (countersObserver) countersObserver.disconnect();
+
+  const counters = Array.from(document.querySelectorAll('[data-stats-group] .counter'))
+    .filter(el => !countedStatistics.has(el.dataset.stat));
+
+  if (typeof IntersectionObserver !== 'function') {
+    counters.forEach(animateCounter);
+    return;
+  }
 
-  const observer = new IntersectionObserver(entries => {
+  countersObserver = new IntersectionObserver(entries => {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
-        const el = entry.target;
-        const target = parseFloat(el.getAttribute('data-target'));
-        let start = 0;
-        const duration = 2000;
-        const step = target / (duration / 30);
-
-        const timer = setInterval(() => {
-          start += step;
-          if (start >= target) {
-            el.innerText = target;
-            clearInterval(timer);
-          } else {
-            el.innerText = start.toFixed(1).replace('.0', '');
-          }
-        }, 30);
-
-        observer.unobserve(el);
+        animateCounter(entry.target);
+        countersObserver.unobserve(entry.target);
       }
     });
   }, { threshold: 0.3 });
 
-  document.querySelectorAll('#stats .counter, #losses .counter').forEach(c => {
-    observer.observe(c);
-  });
+  counters.forEach(c => countersObserver.observe(c));
 }
 
 // Scroll to top button visibility
@@ -196,26 +441,34 @@ window.addEventListener('scroll', () => {
 
 // Initialize page
 function initPage() {
-  updateTicker();
-  initCountersObserver();
+  renderStatistics();
   scrollToSec('home');
 }
 
-// Listen for language change events to update ticker
+// Listen for language change events to update statistics
 window.addEventListener('languageChanged', () => {
-  if (typeof updateTicker === 'function') {
-    updateTicker();
-  }
+  renderStatistics();
+});
+
+// The grids are part of the page sections (see sections.js)
+window.addEventListener('sectionsRendered', () => {
+  renderStatistics();
 });
 
 // Make functions globally available
 window.openProgram = openProgram;
 window.showAnswer = showAnswer;
+window.backToQuestions = backToQuestions;
 window.openMessagesModal = openMessagesModal;
 window.openReferenceModal = openReferenceModal;
 window.closeReferenceModal = closeReferenceModal;
 window.scrollToSec = scrollToSec;
 window.scrollToTop = scrollToTop;
 window.initPage = initPage;
-window.updateTicker = updateTicker;
+window.trackEvent = trackEvent;
 window.initCountersObserver = initCountersObserver;
+window.loadStatistics = loadStatistics;
+window.getStatistic = getStatistic;
+window.renderStatistics = renderStatistics;
+window.formatStatistic = formatStatistic;
+window.showStatistic = showStatistic;
@@ -0,0 +1,177 @@
+/**
+ * ==========================================
+ * Formatter - Numbers and dates per language
+ * ==========================================
+ * Every number and date shown on the page goes through formatter, so it
+ * follows the active language: its digits (CONFIG.i18n.numberingSystems,
+ * e.g. Arabic-Indic for ar, Extended Arabic-Indic for fa and ur), grouping
+ * and decimal signs, currency and compact wording ("١٫٢ مليون").
+ *
+ * Dates use CONFIG.i18n.calendar: gregorian (default), hijri or coptic,
+ * or a calendar option per call.
+ *
+ * Elements can also be formatted from markup and are re-rendered on
+ * languageChanged:
+ *   <span data-format="year" data-value="now"></span>
+ *   <span data-format="currency" data-value="1500" data-currency="USD"></span>
+ * data-format is number, percent, currency, compact, year or date.
+ */
+
+// Calendar names accepted in options and CONFIG, as Intl calendar ids
+const FORMATTER_CALENDARS = {
+  gregorian: 'gregory',
+  hijri: 'islamic-umalqura',
+  coptic: 'coptic'
+};
+
+const FORMATTER_DEFAULT_CURRENCY = 'EGP';
+
+class Formatter {
+  constructor() {
+    const config = (window.CONFIG && window.CONFIG.i18n) || {};
+
+    this.calendar = config.calendar || 'gregorian';
+
+    // Intl formatters by kind, locale and options
+    this.cache = new Map();
+  }
+
+  /**
+   * Format the data-format elements now and on every language change
+   */
+  init() {
+    window.addEventListener('languageChanged', () => this.render());
+    this.render();
+  }
+
+  /**
+   * Intl locale of the active language, with its numbering system
+   */
+  getLocale() {
+    return window.i18n ? window.i18n.getNumberLocale() : (window.CONFIG ? CONFIG.i18n.defaultLanguage : 'ar');
+  }
+
+  /**
+   * Cached Intl.NumberFormat / Intl.DateTimeFormat
+   */
+  getFormat(Type, options) {
+    const locale = this.getLocale();
+    const key = `${Type.name}|${locale}|${JSON.stringify(options)}`;
+
+    if (!this.cache.has(key)) {
+      this.cache.set(key, new Type(locale, options));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Number with Intl.NumberFormat options (style, unit, maximumFractionDigits...)
+   */
+  number(value, options = {}) {
+    try {
+      return this.getFormat(Intl.NumberFormat, options).format(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  /**
+   * Percentage of a ratio: 0.42 → ٤٢٪
+   */
+  percent(value, options = {}) {
+    return this.number(value, Object.assign({ style: 'percent', maximumFractionDigits: 1 }, options));
+  }
+
+  /**
+   * Amount of money, EGP unless another ISO currency is given
+   */
+  currency(value, currency = FORMATTER_DEFAULT_CURRENCY, options = {}) {
+    return this.number(value, Object.assign({ style: 'currency', currency }, options));
+  }
+
+  /**
+   * Short wording of large numbers: 1200000 → ١٫٢ مليون
+   */
+  compact(value, options = {}) {
+    return this.number(value, Object.assign({ notation: 'compact', compactDisplay: 'long' }, options));
+  }
+
+  /**
+   * A year, without grouping (٢٠٢٥, not ٢٬٠٢٥)
+   */
+  year(value) {
+    const year = value instanceof Date ? value.getFullYear() : value;
+    return this.number(year, { useGrouping: false });
+  }
+
+  /**
+   * Date (a Date, timestamp or ISO string) with Intl.DateTimeFormat options;
+   * calendar is gregorian, hijri or coptic (CONFIG.i18n.calendar by default)
+   */
+  date(value, options = {}) {
+    const { calendar = this.calendar, ...rest } = options;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+
+    const format = Object.keys(rest).length ? rest : { year: 'numeric', month: 'long', day: 'numeric' };
+    format.calendar = FORMATTER_CALENDARS[calendar] || calendar;
+
+    try {
+      // Some languages have no era names for these calendars ("ERA1"): leave the era out
+      const parts = this.getFormat(Intl.DateTimeFormat, format).formatToParts(date);
+      const missingEra = part => !!part && part.type === 'era' && /^ERA\d+$/.test(part.value);
+
+      return parts
+        .filter((part, index) => !missingEra(part) && !(part.type === 'literal' && missingEra(parts[index + 1])))
+        .map(part => part.value)
+        .join('');
+    } catch (error) {
+      return date.toISOString().slice(0, 10);
+    }
+  }
+
+  /**
+   * Format the data-format elements under root
+   */
+  render(root = document) {
+    root.querySelectorAll('[data-format]').forEach(element => {
+      const { format, value } = element.dataset;
+      const number = Number(value);
+
+      switch (format) {
+        case 'year':
+        case 'date': {
+          const date = value === 'now' || value === undefined ? new Date() : new Date(value);
+          element.textContent = format === 'year'
+            ? this.year(date)
+            : this.date(date, element.dataset.calendar ? { calendar: element.dataset.calendar } : {});
+          break;
+        }
+        case 'percent':
+          element.textContent = this.percent(number);
+          break;
+        case 'currency':
+          element.textContent = this.currency(number, element.dataset.currency);
+          break;
+        case 'compact':
+          element.textContent = this.compact(number);
+          break;
+        default:
+          element.textContent = this.number(number);
+      }
+    });
+  }
+}
+
+// Create global instance
+const formatter = new Formatter();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => formatter.init());
+} else {
+  formatter.init();
+}
+
+// Export for use in other modules
+window.formatter = formatter;
@@ -0,0 +1,307 @@
+/**
+ * ==========================================
+ * Gallery - Media carousel and lightbox
+ * ==========================================
+ * Builds the #track-imgs carousel from CONFIG.data.gallery. Each image has
+ * an id and a src, plus optional sources (smaller renditions such as
+ * img1-480.jpg, as { src, width }), an ISO date and a location key;
+ * captions come from gallery.items.<id> in the locale.
+ *
+ * The lightbox steps through the images with buttons, arrow keys (mirrored
+ * in RTL) and swipes, and shows a counter and the caption.
+ */
+
+// Minimum horizontal travel (px) for a swipe
+const GALLERY_SWIPE_DISTANCE = 50;
+
+class Gallery {
+  constructor() {
+    this.images = [];
+    this.index = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Find the lightbox and start listening; the carousel comes with the page
+   * sections (see sections.js)
+   */
+  init() {
+    this.lightbox = document.getElementById('lightbox');
+    if (!this.lightbox) return;
+
+    this.lightboxImg = this.lightbox.querySelector('.lightbox-img');
+    this.caption = this.lightbox.querySelector('.lightbox-caption');
+    this.counter = this.lightbox.querySelector('.lightbox-counter');
+
+    this.lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.step(-1));
+    this.lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.step(1));
+    this.lightbox.addEventListener('keydown', (e) => this.onKeydown(e));
+    this.setupSwipe();
+
+    window.addEventListener('languageChanged', () => {
+      this.updateLabels();
+      if (this.isOpen()) this.show();
+    });
+
+    window.addEventListener('sectionsRendered', () => this.attach());
+    this.attach();
+  }
+
+  /**
+   * Use the #track-imgs carousel of the page and fill it from the manifest
+   */
+  attach() {
+    const track = document.getElementById('track-imgs');
+    if (!track || track === this.track) return;
+
+    this.track = track;
+    this.track.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-gallery-index]');
+      if (item) this.open(Number(item.dataset.galleryIndex));
+    });
+
+    this.load().then(() => this.render());
+  }
+
+  /**
+   * Fetch the gallery manifest (once)
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = fetch(Utils.resolvePath(CONFIG.data.gallery))
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          if (Array.isArray(data.images)) this.images = data.images;
+        })
+        .catch(error => {
+          console.warn('Gallery manifest unavailable:', error);
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Localized text of an image: caption, location and formatted date
+   */
+  describe(image, index) {
+    const i18n = window.i18n;
+
+    // Translation, or null for images not captioned in the locale yet
+    const get = (key) => {
+      if (!i18n || !i18n.getCurrentLang()) return null;
+      const text = i18n.get(key);
+      return text === key ? null : text;
+    };
+
+    const caption = get(`gallery.items.${image.id}.caption`) || image.alt
+      || (i18n ? i18n.t('gallery.fallbackAlt', { number: index + 1 }) : '');
+    const location = image.location ? get(`gallery.locations.${image.location}`) || '' : '';
+
+    const date = image.date ? formatter.date(image.date) : '';
+
+    return { caption, meta: [location, date].filter(Boolean).join(' · ') };
+  }
+
+  /**
+   * srcset attribute of an image, or '' without responsive sources
+   */
+  getSrcset(image) {
+    return Array.isArray(image.sources)
+      ? image.sources.map(source => `${Utils.resolvePath(source.src)} ${source.width}w`).join(', ')
+      : '';
+  }
+
+  /**
+   * Build the carousel (a second, hidden copy makes the loop seamless)
+   */
+  render() {
+    if (!this.track) return;
+
+    const buildSet = (hidden) => this.images.map((image, index) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'track-item';
+      item.dataset.galleryIndex = index;
+      if (hidden) {
+        item.setAttribute('aria-hidden', 'true');
+        item.tabIndex = -1;
+      }
+
+      const img = document.createElement('img');
+      img.alt = '';
+      img.width = image.width || 300;
+      img.height = image.height || 350;
+      img.dataset.src = Utils.resolvePath(image.src);
+      const srcset = this.getSrcset(image);
+      if (srcset) {
+        img.dataset.srcset = srcset;
+        img.dataset.sizes = '300px';
+      }
+
+      item.appendChild(img);
+      return item;
+    });
+
+    this.track.textContent = '';
+    this.track.append(...buildSet(false), ...buildSet(true));
+    this.updateLabels();
+
+    if (window.CONFIG && CONFIG.performance.lazyLoadImages) {
+      Utils.lazyLoadImages(this.track);
+    } else {
+      this.track.querySelectorAll('img[data-src]').forEach(img => {
+        img.src = img.dataset.src;
+        if (img.dataset.srcset) {
+          img.sizes = img.dataset.sizes;
+          img.srcset = img.dataset.srcset;
+        }
+      });
+    }
+  }
+
+  /**
+   * Translated alt texts and button titles of the carousel
+   */
+  updateLabels() {
+    if (!this.track) return;
+
+    const openLabel = window.i18n ? window.i18n.t('gallery.open') : '';
+
+    this.track.querySelectorAll('.track-item').forEach(item => {
+      item.title = openLabel;
+
+      // The hidden copy keeps an empty alt
+      if (item.getAttribute('aria-hidden') !== 'true') {
+        const index = Number(item.dataset.galleryIndex);
+        item.querySelector('img').alt = this.describe(this.images[index], index).caption;
+      }
+    });
+  }
+
+  /**
+   * Whether the lightbox is showing
+   */
+  isOpen() {
+    return !!(window.app && window.app.isModalOpen('lightbox'));
+  }
+
+  /**
+   * Open the lightbox on an image
+   */
+  open(index) {
+    this.index = index;
+    this.show();
+    window.app.showModal('lightbox');
+
+    if (window.analytics) {
+      window.analytics.track('lightbox_open', { image: this.images[index].src });
+    }
+  }
+
+  /**
+   * Move by delta images, wrapping around
+   */
+  step(delta) {
+    const count = this.images.length;
+    if (count === 0) return;
+
+    this.index = (this.index + delta + count) % count;
+    this.show();
+  }
+
+  /**
+   * Put the current image, caption and counter in the lightbox
+   */
+  show() {
+    const image = this.images[this.index];
+    if (!image) return;
+
+    const { caption, meta } = this.describe(image, this.index);
+
+    const srcset = this.getSrcset(image);
+    this.lightboxImg.removeAttribute('srcset');
+    if (srcset) {
+      this.lightboxImg.sizes = '90vw';
+      this.lightboxImg.srcset = srcset;
+    }
+    this.lightboxImg.src = Utils.resolvePath(image.src);
+    this.lightboxImg.alt = caption;
+
+    this.caption.textContent = '';
+    const title = document.createElement('span');
+    title.className = 'lightbox-caption-title';
+    title.textContent = caption;
+    this.caption.appendChild(title);
+    if (meta) {
+      const details = document.createElement('span');
+      details.className = 'lightbox-caption-meta';
+      details.textContent = meta;
+      this.caption.appendChild(details);
+    }
+
+    const current = formatter.number(this.index + 1);
+    const total = formatter.number(this.images.length);
+    this.counter.textContent = window.i18n
+      ? window.i18n.t('gallery.counter', { current, total })
+      : `${current} / ${total}`;
+
+    const single = this.images.length < 2;
+    this.lightbox.querySelectorAll('.lightbox-nav').forEach(button => { button.hidden = single; });
+  }
+
+  /**
+   * Arrow keys follow the reading direction: in RTL, left is "next"
+   */
+  onKeydown(e) {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+    const rtl = document.documentElement.dir === 'rtl';
+    const forward = e.key === (rtl ? 'ArrowLeft' : 'ArrowRight');
+
+    e.preventDefault();
+    this.step(forward ? 1 : -1);
+  }
+
+  /**
+   * Swipe toward the start of the line for the next image
+   */
+  setupSwipe() {
+    let startX = null;
+    let startY = null;
+
+    this.lightbox.addEventListener('touchstart', (e) => {
+      startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    this.lightbox.addEventListener('touchend', (e) => {
+      if (startX === null) return;
+
+      const dx = e.changedTouches[0].clientX - startX;
+      const dy = e.changedTouches[0].clientY - startY;
+      startX = null;
+
+      if (Math.abs(dx) < GALLERY_SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy)) return;
+
+      // LTR: swiping left brings the next image; RTL mirrors it
+      const rtl = document.documentElement.dir === 'rtl';
+      this.step((dx < 0) !== rtl ? 1 : -1);
+    });
+  }
+}
+
+// Create global instance
+const gallery = new Gallery();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => gallery.init());
+} else {
+  gallery.init();
+}
+
+// Export for use in other modules
+window.gallery = gallery;
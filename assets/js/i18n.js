@@ -7,11 +7,45 @@
 
 class I18n {
   constructor() {
+    const config = (window.CONFIG && window.CONFIG.i18n) || {};
+    const performance = (window.CONFIG && window.CONFIG.performance) || {};
+
     this.currentLang = null;
     this.translations = {};
     this.languages = [];
-    this.defaultLang = 'ar';
-    this.storageKey = 'preferred_language';
+    this.defaultLang = config.defaultLanguage || 'ar';
+    this.fallbackLang = config.fallbackLanguage || null;
+    this.storageKey = config.storageKey || 'preferred_language';
+
+    // Loaded translations by language code (active + fallbacks), merged
+    // from namespace bundles as they arrive
+    this.loadedLocales = {};
+    this.loadedNamespaces = {};
+    this.pendingLoads = {};
+    this.unavailableLocales = new Set();
+
+    // Namespaces: the default one loads at startup, others on demand
+    this.defaultNamespace = config.defaultNamespace || 'core';
+    this.requestedNamespaces = new Set([this.defaultNamespace]);
+
+    // Content hashes from locales/manifest.json, used as cache keys
+    this.manifest = null;
+    this.manifestPath = config.manifestPath || './locales/manifest.json';
+    this.cacheName = config.cacheName || 'civistories-locales';
+    this.persistLocales = performance.cacheAssets !== false;
+    this.prefetchEnabled = config.prefetchLanguages !== false;
+
+    // Keys that had to fall back, by language code that missed them
+    this.missingKeys = {};
+
+    // Intl.PluralRules instances by "lang:type"
+    this.pluralRules = {};
+
+    // Digits per language (e.g. Arabic-Indic for "ar"), see CONFIG.i18n.numberingSystems
+    this.numberingSystems = config.numberingSystems || {};
+
+    // Locale bundle embedded by scripts/prerender.js in /<lang>/index.html
+    this.prerendered = this.readPrerendered();
   }
 
   /**
@@ -19,13 +53,16 @@ class I18n {
    */
   async init() {
     try {
-      // Load available languages
-      await this.loadLanguages();
+      // Load available languages and locale hashes
+      await Promise.all([this.loadLanguages(), this.loadManifest()]);
+
+      // A prerendered page is in its own language whatever was saved before
+      const prerenderedLang = this.usePrerendered();
 
       // Get preferred language
       const savedLang = this.getSavedLanguage();
       const browserLang = this.getBrowserLanguage();
-      const initialLang = savedLang || browserLang || this.defaultLang;
+      const initialLang = prerenderedLang || savedLang || browserLang || this.defaultLang;
 
       // Load and apply initial language
       await this.setLanguage(initialLang);
@@ -33,6 +70,9 @@ class I18n {
       // Setup language switcher UI
       this.setupLanguageSwitcher();
 
+      // Warm the cache for languages the user is likely to pick next
+      this.schedulePrefetch();
+
       console.log(`✅ i18n initialized with language: ${this.currentLang}`);
     } catch (error) {
       console.error('❌ Failed to initialize i18n:', error);
@@ -46,7 +86,7 @@ class I18n {
    */
   async loadLanguages() {
     try {
-      const response = await fetch('./locales/languages.json');
+      const response = await fetch(Utils.resolvePath('./locales/languages.json'));
       const data = await response.json();
       this.languages = data.languages;
       this.defaultLang = data.defaultLang || 'ar';
@@ -60,21 +100,50 @@ class I18n {
     }
   }
 
+  /**
+   * Load the locale manifest (content hash per locale file)
+   */
+  async loadManifest() {
+    try {
+      // Always revalidate, it is tiny and decides whether locales are stale
+      const response = await fetch(Utils.resolvePath(this.manifestPath), { cache: 'no-cache' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.manifest = await response.json();
+    } catch (error) {
+      console.warn('Locale manifest not available, locales will be revalidated on every load');
+      this.manifest = null;
+    }
+  }
+
+  /**
+   * Get the manifest hash for a locale (or one of its namespace bundles),
+   * or null if unknown
+   */
+  getLocaleHash(langCode, namespace) {
+    const entry = this.manifest && this.manifest.locales && this.manifest.locales[langCode];
+    if (!entry) return null;
+    if (!namespace) return entry.hash;
+
+    const bundle = entry.namespaces && entry.namespaces[namespace];
+    return bundle ? bundle.hash : null;
+  }
+
   /**
    * Set and apply a language
    */
   async setLanguage(langCode) {
     try {
-      // Load translation file (with cache buster to force fresh load)
-      const cacheBuster = Date.now();
-      const response = await fetch(`./locales/${langCode}.json?v=${cacheBuster}`);
-      if (!response.ok) {
-        throw new Error(`Language file not found: ${langCode}`);
-      }
-
-      this.translations = await response.json();
+      this.translations = await this.loadLocale(langCode);
       this.currentLang = langCode;
 
+      // Load fallback locales used by t() for keys missing in this one
+      await this.loadFallbacks();
+
+      // Namespaces the page already needed (e.g. an open modal) in the new language too
+      await Promise.all(Array.from(this.requestedNamespaces)
+        .filter(namespace => namespace !== this.defaultNamespace)
+        .map(namespace => this.loadNamespace(namespace)));
+
       // Apply language changes
       this.applyLanguage();
 
@@ -95,6 +164,275 @@ class I18n {
     }
   }
 
+  /**
+   * Load a locale namespace bundle: memory, then Cache API, then network.
+   * The manifest hash is part of the URL, so a cached copy is only
+   * replaced when the file content changes. Without bundles in the
+   * manifest the whole locale file is loaded instead.
+   * Resolves to the merged translations loaded so far for the language.
+   */
+  async loadLocale(langCode, namespace = this.defaultNamespace) {
+    if (this.hasNamespace(langCode, namespace)) {
+      return this.loadedLocales[langCode];
+    }
+
+    // The manifest lists every locale file, don't request ones it doesn't have
+    if (this.manifest && !this.getLocaleHash(langCode)) {
+      throw new Error(`Language file not found: ${langCode}`);
+    }
+
+    const bundleHash = this.getLocaleHash(langCode, namespace);
+    const hash = bundleHash || this.getLocaleHash(langCode);
+    const url = this.getLocaleUrl(langCode, namespace);
+
+    // Share in-flight requests between concurrent callers
+    if (!this.pendingLoads[url]) {
+      this.pendingLoads[url] = this.fetchLocaleFile(url, Boolean(hash))
+        .finally(() => delete this.pendingLoads[url]);
+    }
+    const translations = await this.pendingLoads[url];
+
+    this.loadedLocales[langCode] = this.mergeTranslations(this.loadedLocales[langCode] || {}, translations);
+    this.loadedNamespaces[langCode] = this.loadedNamespaces[langCode] || new Set();
+    // A full locale file contains every namespace
+    this.loadedNamespaces[langCode].add(bundleHash ? namespace : '*');
+
+    return this.loadedLocales[langCode];
+  }
+
+  /**
+   * URL of a locale namespace bundle, or of the whole locale file when the
+   * manifest has no bundles for it
+   */
+  getLocaleUrl(langCode, namespace = this.defaultNamespace) {
+    const bundleHash = this.getLocaleHash(langCode, namespace);
+    const hash = bundleHash || this.getLocaleHash(langCode);
+    const file = bundleHash ? `${langCode}/${namespace}` : langCode;
+    const url = Utils.resolvePath(`./locales/${file}.json`);
+    return hash ? `${url}?v=${hash}` : url;
+  }
+
+  /**
+   * Read the locale bundle a prerendered page carries, or null
+   */
+  readPrerendered() {
+    const script = document.getElementById('prerenderedLocale');
+    if (!script) return null;
+
+    try {
+      const data = JSON.parse(script.textContent);
+      return data && data.lang && data.translations ? data : null;
+    } catch (error) {
+      console.warn('Invalid prerendered locale data');
+      return null;
+    }
+  }
+
+  /**
+   * Use the embedded bundle instead of fetching it, unless the manifest
+   * says it changed since the page was built. Returns the page language.
+   */
+  usePrerendered() {
+    const data = this.prerendered;
+    if (!data) return null;
+
+    const namespace = data.namespace || this.defaultNamespace;
+    const current = this.getLocaleHash(data.lang, namespace);
+
+    if (!this.manifest || current === data.hash) {
+      this.loadedLocales[data.lang] = this.mergeTranslations(this.loadedLocales[data.lang] || {}, data.translations);
+      this.loadedNamespaces[data.lang] = this.loadedNamespaces[data.lang] || new Set();
+      this.loadedNamespaces[data.lang].add(namespace);
+    }
+
+    return data.lang;
+  }
+
+  /**
+   * URLs of every file of a locale, e.g. for offline caching
+   */
+  getLocaleUrls(langCode) {
+    const entry = this.manifest && this.manifest.locales && this.manifest.locales[langCode];
+    const namespaces = entry && entry.namespaces ? Object.keys(entry.namespaces) : [];
+
+    return namespaces.length
+      ? namespaces.map(namespace => this.getLocaleUrl(langCode, namespace))
+      : [this.getLocaleUrl(langCode)];
+  }
+
+  /**
+   * Fetch one locale JSON file, through the persistent cache when versioned
+   */
+  async fetchLocaleFile(url, versioned) {
+    const cached = versioned ? await this.readCachedLocale(url) : null;
+    if (cached) return cached;
+
+    // Without a hash let the browser revalidate instead of trusting its cache
+    const response = await fetch(url, versioned ? {} : { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Language file not found: ${url}`);
+    }
+
+    if (versioned) {
+      this.writeCachedLocale(url, response.clone());
+    }
+    return response.json();
+  }
+
+  /**
+   * Deep merge a namespace bundle into already loaded translations
+   */
+  mergeTranslations(target, source) {
+    Object.keys(source).forEach(key => {
+      const value = source[key];
+      if (value && typeof value === 'object' && !Array.isArray(value) &&
+          target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+        this.mergeTranslations(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Check whether a namespace is loaded for a language
+   */
+  hasNamespace(langCode, namespace) {
+    const loaded = this.loadedNamespaces[langCode];
+    return Boolean(loaded && (loaded.has(namespace) || loaded.has('*')));
+  }
+
+  /**
+   * Load a namespace for the active language and its fallbacks.
+   * Resolves to true if at least one language in the chain provides it.
+   */
+  async loadNamespace(namespace) {
+    this.requestedNamespaces.add(namespace);
+
+    const chain = this.getFallbackChain()
+      .filter(langCode => !this.unavailableLocales.has(langCode));
+
+    await Promise.all(chain.map(langCode =>
+      this.loadLocale(langCode, namespace).catch(() => {
+        console.warn(`Namespace "${namespace}" not available for ${langCode}`);
+      })
+    ));
+
+    return chain.some(langCode => this.hasNamespace(langCode, namespace));
+  }
+
+  /**
+   * Open the persistent locale cache, or null if unavailable
+   */
+  async openLocaleCache() {
+    if (!this.persistLocales || typeof caches === 'undefined') return null;
+
+    try {
+      return await caches.open(this.cacheName);
+    } catch (error) {
+      // Cache API throws on insecure origins and in some private modes
+      return null;
+    }
+  }
+
+  /**
+   * Read a locale from the persistent cache
+   */
+  async readCachedLocale(url) {
+    const cache = await this.openLocaleCache();
+    if (!cache) return null;
+
+    try {
+      const response = await cache.match(url);
+      return response ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a locale response and drop older versions of the same file
+   */
+  async writeCachedLocale(url, response) {
+    const cache = await this.openLocaleCache();
+    if (!cache) return;
+
+    try {
+      const current = new URL(url, window.location.href);
+      const requests = await cache.keys();
+
+      await Promise.all(requests
+        .filter(request => {
+          const cached = new URL(request.url);
+          return cached.pathname === current.pathname && cached.search !== current.search;
+        })
+        .map(request => cache.delete(request)));
+
+      await cache.put(url, response);
+    } catch (error) {
+      console.warn(`Failed to cache locale file ${url}`);
+    }
+  }
+
+  /**
+   * Languages worth loading ahead of time: fallback, default and browser languages
+   */
+  getPrefetchCandidates() {
+    const browserLangs = (navigator.languages || [navigator.language || ''])
+      .map(lang => lang.split('-')[0]);
+    const candidates = [this.fallbackLang, this.defaultLang].concat(browserLangs);
+
+    return candidates.filter((code, index) =>
+      code &&
+      candidates.indexOf(code) === index &&
+      !this.loadedLocales[code] &&
+      this.getLocaleHash(code)
+    );
+  }
+
+  /**
+   * Prefetch likely next languages when the browser is idle
+   */
+  schedulePrefetch() {
+    if (!this.prefetchEnabled || !this.manifest) return;
+
+    // Respect data saver on metered mobile connections
+    if (navigator.connection && navigator.connection.saveData) return;
+
+    const idle = window.requestIdleCallback || (callback => setTimeout(callback, 2000));
+    idle(() => {
+      this.getPrefetchCandidates().forEach(langCode => {
+        this.loadLocale(langCode).catch(() => {});
+      });
+    });
+  }
+
+  /**
+   * Load the fallback chain locales, skipping any that are unavailable
+   */
+  async loadFallbacks() {
+    const chain = this.getFallbackChain()
+      .slice(1)
+      .filter(langCode => !this.unavailableLocales.has(langCode));
+
+    await Promise.all(chain.map(langCode =>
+      this.loadLocale(langCode).catch(() => {
+        // Remember so later language switches don't refetch it
+        this.unavailableLocales.add(langCode);
+        console.warn(`Fallback language not available: ${langCode}`);
+      })
+    ));
+  }
+
+  /**
+   * Language codes consulted by t(): active, fallbackLanguage, defaultLang
+   */
+  getFallbackChain() {
+    const chain = [this.currentLang, this.fallbackLang, this.defaultLang];
+    return chain.filter((code, index) => code && chain.indexOf(code) === index);
+  }
+
   /**
    * Apply current language to the page
    */
@@ -118,17 +456,18 @@ class I18n {
   }
 
   /**
-   * Translate all elements with data-i18n attribute
+   * Translate all elements with data-i18n attribute (in root, the whole
+   * page by default)
    */
-  translatePage() {
-    document.querySelectorAll('[data-i18n]').forEach(element => {
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
       const key = element.getAttribute('data-i18n');
-      const translation = this.t(key);
+      const translation = this.t(key, this.getElementParams(element));
 
       if (translation) {
-        // Check if we should update innerHTML or textContent
+        // Translated HTML only keeps the sanitizer's allowlist
         if (element.hasAttribute('data-i18n-html')) {
-          element.innerHTML = translation;
+          Sanitizer.setHTML(element, translation, key);
         } else {
           element.textContent = translation;
         }
@@ -136,9 +475,9 @@ class I18n {
     });
 
     // Translate placeholders
-    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
       const key = element.getAttribute('data-i18n-placeholder');
-      const translation = this.t(key);
+      const translation = this.t(key, this.getElementParams(element));
 
       if (translation) {
         element.placeholder = translation;
@@ -146,35 +485,279 @@ class I18n {
     });
 
     // Translate titles (tooltips)
-    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
       const key = element.getAttribute('data-i18n-title');
-      const translation = this.t(key);
+      const translation = this.t(key, this.getElementParams(element));
 
       if (translation) {
         element.title = translation;
       }
     });
+
+    // Translate image alternative texts
+    root.querySelectorAll('[data-i18n-alt]').forEach(element => {
+      const key = element.getAttribute('data-i18n-alt');
+      const translation = this.t(key, this.getElementParams(element));
+
+      if (translation) {
+        element.alt = translation;
+      }
+    });
   }
 
   /**
-   * Get translation by key (supports nested keys with dot notation)
+   * Read interpolation params from a data-i18n-params JSON attribute
    */
-  t(key) {
+  getElementParams(element) {
+    const raw = element.getAttribute('data-i18n-params');
+    if (!raw) return undefined;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('Invalid data-i18n-params JSON:', raw);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get translation by key (supports nested keys with dot notation).
+   * Missing keys fall back through getFallbackChain() and are recorded.
+   * String values are formatted with params, see formatMessage().
+   */
+  t(key, params) {
+    // Nothing loaded yet, don't record every early lookup as missing
+    if (!this.currentLang) return key;
+
+    const chain = this.getFallbackChain();
+
+    for (const langCode of chain) {
+      const translations = langCode === this.currentLang
+        ? this.translations
+        : this.loadedLocales[langCode];
+      const value = this.lookup(translations, key);
+
+      if (value !== undefined) {
+        return params && typeof value === 'string'
+          ? this.formatMessage(value, params)
+          : value;
+      }
+
+      this.recordMissingKey(langCode, key);
+    }
+
+    console.warn(`Translation key not found: ${key}`);
+    return key; // Return key itself if not found
+  }
+
+  /**
+   * Format an ICU-style message:
+   *   {name}                                  named placeholder
+   *   {count, plural, =0 {...} one {# item} other {# items}}
+   *   {rank, selectordinal, one {#st} other {#th}}
+   *   {gender, select, female {...} male {...} other {...}}
+   * Plural categories come from Intl.PluralRules for the current language,
+   * so Arabic gets zero/one/two/few/many/other.
+   */
+  formatMessage(message, params = {}, pound) {
+    let result = '';
+    let i = 0;
+
+    while (i < message.length) {
+      const ch = message[i];
+
+      if (ch === '{') {
+        const end = this.findClosingBrace(message, i);
+        if (end === -1) {
+          result += message.slice(i);
+          break;
+        }
+        result += this.formatArgument(message.slice(i + 1, end), params, pound);
+        i = end + 1;
+      } else if (ch === '#' && pound !== undefined) {
+        result += pound;
+        i++;
+      } else {
+        result += ch;
+        i++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Format the inside of a single {argument}; pound is the enclosing plural's
+   * number, which a select nested in it keeps for its own #
+   */
+  formatArgument(argument, params, pound) {
+    const firstComma = argument.indexOf(',');
+    const name = (firstComma === -1 ? argument : argument.slice(0, firstComma)).trim();
+    const value = params[name];
+
+    if (firstComma === -1) {
+      if (value === undefined || value === null) return `{${name}}`;
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    }
+
+    const rest = argument.slice(firstComma + 1);
+    const secondComma = rest.indexOf(',');
+    const type = rest.slice(0, secondComma === -1 ? rest.length : secondComma).trim();
+    const options = this.parseOptions(secondComma === -1 ? '' : rest.slice(secondComma + 1));
+
+    if (type === 'plural' || type === 'selectordinal') {
+      const number = Number(value);
+      const pluralType = type === 'plural' ? 'cardinal' : 'ordinal';
+      const category = Number.isFinite(number)
+        ? this.getPluralRules(pluralType).select(number)
+        : 'other';
+      const branch = options[`=${number}`] ?? options[category] ?? options.other;
+
+      return branch === undefined
+        ? ''
+        : this.formatMessage(branch, params, Number.isFinite(number) ? this.formatNumber(number) : '');
+    }
+
+    if (type === 'select') {
+      const branch = options[String(value)] ?? options.other;
+      return branch === undefined ? '' : this.formatMessage(branch, params, pound);
+    }
+
+    console.warn(`Unsupported message argument type: ${type}`);
+    return `{${argument}}`;
+  }
+
+  /**
+   * Parse "one {...} other {...}" into { one: '...', other: '...' }
+   */
+  parseOptions(source) {
+    const options = {};
+    let i = 0;
+
+    while (i < source.length) {
+      const open = source.indexOf('{', i);
+      if (open === -1) break;
+
+      const selector = source.slice(i, open).trim();
+      const close = this.findClosingBrace(source, open);
+      if (close === -1) break;
+
+      // "offset:n" is not supported, ignore anything before the selector
+      const parts = selector.split(/\s+/);
+      options[parts[parts.length - 1]] = source.slice(open + 1, close);
+      i = close + 1;
+    }
+
+    return options;
+  }
+
+  /**
+   * Find the brace closing the one at openIndex, accounting for nesting
+   */
+  findClosingBrace(source, openIndex) {
+    let depth = 0;
+
+    for (let i = openIndex; i < source.length; i++) {
+      if (source[i] === '{') depth++;
+      if (source[i] === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Cached Intl.PluralRules for the current language
+   */
+  getPluralRules(type = 'cardinal') {
+    const cacheKey = `${this.currentLang}:${type}`;
+
+    if (!this.pluralRules[cacheKey]) {
+      try {
+        this.pluralRules[cacheKey] = new Intl.PluralRules(this.currentLang || this.defaultLang, { type });
+      } catch (error) {
+        this.pluralRules[cacheKey] = new Intl.PluralRules('en', { type });
+      }
+    }
+
+    return this.pluralRules[cacheKey];
+  }
+
+  /**
+   * Format a number for the current language: through formatter.js on the
+   * page, directly where it isn't loaded (scripts/prerender.js)
+   */
+  formatNumber(number) {
+    if (window.formatter) return window.formatter.number(number);
+
+    try {
+      return new Intl.NumberFormat(this.getNumberLocale()).format(number);
+    } catch (error) {
+      return String(number);
+    }
+  }
+
+  /**
+   * Locale for Intl number formatting, with the language's numbering system
+   */
+  getNumberLocale(lang = this.currentLang || this.defaultLang) {
+    const numberingSystem = this.numberingSystems[lang];
+    return numberingSystem ? `${lang}-u-nu-${numberingSystem}` : lang;
+  }
+
+  /**
+   * Resolve a dot-notation key inside a translations object
+   */
+  lookup(translations, key) {
     const keys = key.split('.');
-    let value = this.translations;
+    let value = translations;
 
     for (const k of keys) {
       if (value && typeof value === 'object' && k in value) {
         value = value[k];
       } else {
-        console.warn(`Translation key not found: ${key}`);
-        return key; // Return key itself if not found
+        return undefined;
       }
     }
 
     return value;
   }
 
+  /**
+   * Remember a key that a language could not provide
+   */
+  recordMissingKey(langCode, key) {
+    if (!this.missingKeys[langCode]) {
+      this.missingKeys[langCode] = new Set();
+    }
+    this.missingKeys[langCode].add(key);
+  }
+
+  /**
+   * Get recorded missing keys by language, e.g. from the console:
+   * i18n.getMissingKeys() or i18n.getMissingKeys('fr')
+   */
+  getMissingKeys(langCode) {
+    if (langCode) {
+      return Array.from(this.missingKeys[langCode] || []).sort();
+    }
+
+    const result = {};
+    Object.keys(this.missingKeys).forEach(code => {
+      result[code] = this.getMissingKeys(code);
+    });
+    return result;
+  }
+
+  /**
+   * Clear recorded missing keys
+   */
+  clearMissingKeys() {
+    this.missingKeys = {};
+  }
+
   /**
    * Setup language switcher dropdown
    */
@@ -192,10 +775,12 @@ class I18n {
       option.className = 'lang-option';
       option.setAttribute('data-lang', lang.code);
 
-      option.innerHTML = `
-        <img src="${lang.flag}" alt="${lang.name}">
-        <span>${lang.name}</span>
-      `;
+      const flag = document.createElement('img');
+      flag.src = lang.flag;
+      flag.alt = lang.name;
+      const name = document.createElement('span');
+      name.textContent = lang.name;
+      option.append(flag, name);
 
       option.addEventListener('click', (e) => {
         e.preventDefault();
@@ -306,8 +891,8 @@ class I18n {
   /**
    * Alias for t() method - for consistency with other parts of the codebase
    */
-  get(key) {
-    return this.t(key);
+  get(key, params) {
+    return this.t(key, params);
   }
 }
 
@@ -0,0 +1,265 @@
+/**
+ * ==========================================
+ * Modal Manager - Accessible modal stack
+ * ==========================================
+ * Every modal (program questions/answers/quiz, references, messages, lightbox)
+ * opens and closes through this stack: dialog semantics, focus trap,
+ * focus return, background scroll lock and nested modals.
+ * Use it through App.showModal() / App.hideModal().
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])',
+  '[contenteditable="true"]'
+].join(',');
+
+const CLOSE_SELECTOR = '.close-modal, .close-lightbox';
+
+class ModalManager {
+  constructor() {
+    this.stack = [];
+    this.inertElements = new Set();
+    this.baseZIndex = null;
+
+    this.onKeydown = this.onKeydown.bind(this);
+  }
+
+  /**
+   * Register all modal elements matching a selector
+   */
+  registerAll(selector) {
+    document.querySelectorAll(selector).forEach(element => this.register(element));
+    document.addEventListener('keydown', this.onKeydown);
+  }
+
+  /**
+   * Add dialog semantics and close handlers to a modal element
+   */
+  register(element) {
+    if (element.dataset.modalRegistered) return;
+    element.dataset.modalRegistered = 'true';
+
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-hidden', 'true');
+    element.setAttribute('tabindex', '-1');
+
+    // Label the dialog with its heading
+    const heading = element.querySelector('h1, h2, h3');
+    if (heading && !element.hasAttribute('aria-labelledby')) {
+      heading.id = heading.id || `${element.id || 'modal'}-title`;
+      element.setAttribute('aria-labelledby', heading.id);
+    }
+
+    // Close "buttons" are spans, make them keyboard and screen reader friendly
+    element.querySelectorAll(CLOSE_SELECTOR).forEach(btn => {
+      if (btn.tagName !== 'BUTTON') {
+        btn.setAttribute('role', 'button');
+        btn.setAttribute('tabindex', '0');
+        btn.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.close(element, { reason: 'button' });
+          }
+        });
+      }
+      // Accessible name, translated by I18n.translatePage()
+      btn.setAttribute('data-i18n-title', 'buttons.close');
+      btn.title = btn.title || 'Close';
+      btn.addEventListener('click', () => this.close(element, { reason: 'button' }));
+    });
+
+    // Click on the backdrop closes the modal
+    element.addEventListener('click', (e) => {
+      if (e.target === element) {
+        this.close(element, { reason: 'backdrop' });
+      }
+    });
+  }
+
+  /**
+   * Resolve an id or element to a modal element
+   */
+  resolve(modal) {
+    return typeof modal === 'string' ? document.getElementById(modal) : modal;
+  }
+
+  /**
+   * Open a modal on top of the stack
+   */
+  open(modal) {
+    const element = this.resolve(modal);
+    if (!element) return null;
+
+    this.register(element);
+
+    // Already open: bring it to the top
+    const index = this.stack.findIndex(entry => entry.element === element);
+    if (index !== -1) {
+      if (index === this.stack.length - 1) return element;
+      const [entry] = this.stack.splice(index, 1);
+      this.stack.push(entry);
+    } else {
+      this.stack.push({ element, returnFocus: document.activeElement });
+    }
+
+    if (this.baseZIndex === null) {
+      this.baseZIndex = parseInt(window.getComputedStyle(element).zIndex, 10) || 50000;
+    }
+
+    element.classList.add('show');
+    element.setAttribute('aria-hidden', 'false');
+    this.updateLayers();
+    this.focusFirst(element);
+
+    window.dispatchEvent(new CustomEvent('modalOpened', { detail: { id: element.id } }));
+    return element;
+  }
+
+  /**
+   * Close a modal (and any opened above it)
+   */
+  close(modal, { reason = 'api', silent = false } = {}) {
+    const element = this.resolve(modal);
+    const index = this.stack.findIndex(entry => entry.element === element);
+    if (index === -1) return;
+
+    const closed = this.stack.splice(index);
+    closed.reverse().forEach(entry => {
+      entry.element.classList.remove('show');
+      entry.element.setAttribute('aria-hidden', 'true');
+      entry.element.style.zIndex = '';
+    });
+
+    this.updateLayers();
+
+    // Return focus to what opened the bottom-most closed modal
+    const returnFocus = closed[closed.length - 1].returnFocus;
+    if (returnFocus && document.contains(returnFocus) && typeof returnFocus.focus === 'function') {
+      returnFocus.focus();
+    } else if (this.top()) {
+      this.top().focus();
+    }
+
+    if (!silent) {
+      closed.forEach(entry => {
+        window.dispatchEvent(new CustomEvent('modalClosed', {
+          detail: { id: entry.element.id, reason }
+        }));
+      });
+    }
+  }
+
+  /**
+   * Close every open modal
+   */
+  closeAll(options) {
+    if (this.stack.length) {
+      this.close(this.stack[0].element, options);
+    }
+  }
+
+  /**
+   * Top-most open modal element, or null
+   */
+  top() {
+    return this.stack.length ? this.stack[this.stack.length - 1].element : null;
+  }
+
+  /**
+   * Check whether a modal is open
+   */
+  isOpen(modal) {
+    const element = this.resolve(modal);
+    return this.stack.some(entry => entry.element === element);
+  }
+
+  /**
+   * Stack order, scroll lock and inert background
+   */
+  updateLayers() {
+    this.stack.forEach((entry, index) => {
+      entry.element.style.zIndex = String(this.baseZIndex + index);
+    });
+
+    document.body.classList.toggle('modal-open', this.stack.length > 0);
+
+    // Only the top modal is reachable, everything else is inert
+    this.inertElements.forEach(el => el.removeAttribute('inert'));
+    this.inertElements.clear();
+
+    const top = this.top();
+    if (!top) return;
+
+    Array.from(document.body.children).forEach(child => {
+      if (child !== top && !child.contains(top) && child.tagName !== 'SCRIPT' && !child.hasAttribute('inert')) {
+        child.setAttribute('inert', '');
+        this.inertElements.add(child);
+      }
+    });
+  }
+
+  /**
+   * Focus the first focusable element in a modal, or the modal itself
+   */
+  focusFirst(element) {
+    const focusable = this.getFocusable(element);
+    const target = focusable.find(el => !el.matches(CLOSE_SELECTOR)) || focusable[0] || element;
+    target.focus({ preventScroll: true });
+  }
+
+  /**
+   * Visible focusable elements inside a modal
+   */
+  getFocusable(element) {
+    return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(el => el.offsetParent !== null || el === document.activeElement);
+  }
+
+  /**
+   * Escape closes the top modal, Tab stays inside it
+   */
+  onKeydown(e) {
+    const top = this.top();
+    if (!top) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close(top, { reason: 'escape' });
+      return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusable(top);
+    if (!focusable.length) {
+      e.preventDefault();
+      top.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === top)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!top.contains(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+// Make ModalManager globally available
+window.ModalManager = ModalManager;
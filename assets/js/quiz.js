@@ -0,0 +1,378 @@
+/**
+ * ==========================================
+ * Self-Assessment - Program quizzes
+ * ==========================================
+ * Short weighted questionnaires (programs.data.<key>.quiz) that score
+ * the visitor's situation and recommend answers of the same program.
+ * Results stay in localStorage, nothing is sent anywhere.
+ */
+
+class SelfAssessment {
+  constructor() {
+    this.storageKey = 'quiz_results';
+    this.programKey = null;
+    this.quiz = null;
+    this.index = 0;
+    this.choices = [];
+    this.view = 'intro';
+  }
+
+  /**
+   * Initialize listeners
+   */
+  init() {
+    // Re-render the open quiz in the new language, keeping the choices made
+    window.addEventListener('languageChanged', () => {
+      if (this.programKey && window.app && window.app.isModalOpen('quizModal')) {
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * Translate a UI string of the quiz
+   */
+  t(key, params) {
+    return window.i18n ? window.i18n.t(`programsModal.quiz.${key}`, params) : key;
+  }
+
+  /**
+   * Open the quiz of a program
+   */
+  async open(programKey) {
+    const content = document.getElementById('quizContent');
+    if (!content) return;
+
+    this.programKey = programKey;
+    this.index = 0;
+    this.choices = [];
+    this.view = 'intro';
+
+    document.getElementById('quizTitle').textContent = this.t('title');
+    showLoading(content);
+    window.app.showModal('quizModal');
+    updateRoute(`/quiz/${programKey}`);
+
+    await ensureNamespace('programs');
+
+    // Another quiz was opened while this one was loading
+    if (this.programKey !== programKey) return;
+
+    this.refresh();
+  }
+
+  /**
+   * Reload quiz data for the current language and render the current view
+   */
+  refresh() {
+    const program = getProgramData(this.programKey);
+    this.quiz = program && program.quiz && Array.isArray(program.quiz.items) ? program.quiz : null;
+
+    if (!this.quiz) {
+      this.renderMessage(window.i18n ? window.i18n.get('common.error') : '');
+      return;
+    }
+
+    document.getElementById('quizTitle').textContent = this.quiz.title || this.t('title');
+
+    if (this.view === 'question') {
+      this.renderQuestion();
+    } else if (this.view === 'result') {
+      this.renderResult(this.getResult(this.programKey));
+    } else {
+      this.renderIntro();
+    }
+  }
+
+  /**
+   * Replace the quiz content with new nodes
+   */
+  setContent(...nodes) {
+    const content = document.getElementById('quizContent');
+    content.replaceChildren(...nodes);
+
+    // Keep keyboard focus inside the modal after re-rendering
+    const focusTarget = content.querySelector('[data-autofocus]');
+    if (focusTarget) focusTarget.focus({ preventScroll: true });
+  }
+
+  /**
+   * Create an element with a class and text
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Create a button
+   */
+  createButton(text, className, onClick) {
+    const button = this.createElement('button', className, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show a single message (loading error, missing quiz)
+   */
+  renderMessage(text) {
+    this.setContent(this.createElement('p', 'modal-loading', text));
+  }
+
+  /**
+   * Intro: description, previous result and the start button
+   */
+  renderIntro() {
+    const nodes = [this.createElement('p', 'quiz-intro', this.quiz.intro)];
+
+    const last = this.getResult(this.programKey);
+    const band = last && this.quiz.bands.find(b => b.level === last.level);
+    if (last && band) {
+      nodes.push(this.createElement('p', `quiz-last-result quiz-level-${band.level}`,
+        this.t('lastResult', { score: last.score, max: last.max, level: band.title })));
+    }
+
+    const start = this.createButton(this.t('begin'), 'quiz-btn quiz-btn-primary', () => {
+      this.view = 'question';
+      this.renderQuestion();
+    });
+    start.dataset.autofocus = 'true';
+
+    nodes.push(start, this.createElement('p', 'quiz-privacy', this.t('privacy')));
+    this.setContent(...nodes);
+  }
+
+  /**
+   * Current question with its options, progress and navigation
+   */
+  renderQuestion() {
+    const items = this.quiz.items;
+    const item = items[this.index];
+    const total = items.length;
+
+    const progressText = this.t('progress', { current: this.index + 1, total });
+    const progress = this.createElement('div', 'quiz-progress');
+    const bar = this.createElement('div', 'quiz-progress-bar');
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', String(total));
+    bar.setAttribute('aria-valuenow', String(this.index + 1));
+    bar.setAttribute('aria-valuetext', progressText);
+    const fill = this.createElement('span', 'quiz-progress-fill');
+    fill.style.width = `${((this.index + 1) / total) * 100}%`;
+    bar.appendChild(fill);
+    progress.append(this.createElement('span', 'quiz-progress-text', progressText), bar);
+
+    // Native radios: arrow keys, labels and screen readers work out of the box
+    const fieldset = this.createElement('fieldset', 'quiz-question');
+    fieldset.appendChild(this.createElement('legend', 'quiz-question-text', item.question));
+
+    item.options.forEach((option, optionIndex) => {
+      const label = this.createElement('label', 'quiz-option');
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = `quiz-${this.programKey}-${this.index}`;
+      input.value = String(optionIndex);
+      input.checked = this.choices[this.index] === optionIndex;
+      input.addEventListener('change', () => {
+        this.choices[this.index] = optionIndex;
+        next.disabled = false;
+      });
+      label.append(input, this.createElement('span', null, option.text));
+      fieldset.appendChild(label);
+    });
+
+    const nav = this.createElement('div', 'quiz-nav');
+    const isLast = this.index === total - 1;
+
+    if (this.index > 0) {
+      nav.appendChild(this.createButton(this.t('previous'), 'quiz-btn', () => {
+        this.index--;
+        this.renderQuestion();
+      }));
+    }
+
+    const next = this.createButton(this.t(isLast ? 'finish' : 'next'), 'quiz-btn quiz-btn-primary', () => {
+      if (this.choices[this.index] === undefined) return;
+      if (isLast) {
+        this.finish();
+      } else {
+        this.index++;
+        this.renderQuestion();
+      }
+    });
+    next.disabled = this.choices[this.index] === undefined;
+    nav.appendChild(next);
+
+    const checked = fieldset.querySelector('input:checked') || fieldset.querySelector('input');
+    checked.dataset.autofocus = 'true';
+
+    this.setContent(progress, fieldset, nav);
+  }
+
+  /**
+   * Score the choices, pick the band and save the result
+   */
+  finish() {
+    const result = this.score(this.quiz, this.choices);
+    this.saveResult(this.programKey, result);
+    this.view = 'result';
+    this.renderResult(result);
+  }
+
+  /**
+   * Compute { score, max, level, answers } for a set of choices
+   */
+  score(quiz, choices) {
+    let score = 0;
+    let max = 0;
+    const answers = [];
+
+    quiz.items.forEach((item, index) => {
+      const weights = item.options.map(option => option.weight);
+      const option = item.options[choices[index]];
+      max += Math.max(...weights);
+      if (!option) return;
+
+      score += option.weight;
+
+      // Weak spots first: answers related to high-weight choices
+      if (option.weight >= 2) answers.push(...(item.answers || []));
+    });
+
+    const bands = quiz.bands.slice().sort((a, b) => a.max - b.max);
+    const band = bands.find(b => score <= b.max) || bands[bands.length - 1];
+    answers.push(...(band.answers || []));
+
+    return {
+      score,
+      max,
+      level: band.level,
+      answers: answers.filter((value, index) => answers.indexOf(value) === index),
+      choices: choices.slice(),
+      date: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Result: score, band advice and recommended answers
+   */
+  renderResult(result) {
+    if (!result) {
+      this.view = 'intro';
+      this.renderIntro();
+      return;
+    }
+
+    const program = getProgramData(this.programKey);
+    const band = this.quiz.bands.find(b => b.level === result.level) || this.quiz.bands[0];
+
+    const summary = this.createElement('div', `quiz-result quiz-level-${band.level}`);
+    const score = this.createElement('p', 'quiz-score', this.t('score', { score: result.score, max: result.max }));
+    score.setAttribute('tabindex', '-1');
+    score.dataset.autofocus = 'true';
+    summary.append(
+      score,
+      this.createElement('h3', 'quiz-band-title', band.title),
+      this.createElement('p', 'quiz-band-description', band.description)
+    );
+
+    const nodes = [summary];
+
+    const recommended = result.answers.filter(index => program.questions[index] !== undefined);
+    if (recommended.length) {
+      nodes.push(this.createElement('h4', 'quiz-recommendations-title', this.t('recommendations')));
+      const list = this.createElement('ul', 'quiz-recommendations');
+      recommended.forEach(index => {
+        const li = document.createElement('li');
+        li.appendChild(this.createButton(program.questions[index], 'q-item quiz-recommendation', () => {
+          window.showAnswer(this.programKey, index);
+        }));
+        list.appendChild(li);
+      });
+      nodes.push(list);
+    }
+
+    const nav = this.createElement('div', 'quiz-nav');
+    nav.appendChild(this.createButton(this.t('retake'), 'quiz-btn', () => {
+      this.index = 0;
+      this.choices = [];
+      this.view = 'question';
+      this.renderQuestion();
+    }));
+    nodes.push(nav, this.createElement('p', 'quiz-privacy', this.t('privacy')));
+
+    this.setContent(...nodes);
+  }
+
+  /**
+   * Saved results: { program: result }
+   */
+  getResults() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Saved result of one program, or null
+   */
+  getResult(programKey) {
+    return this.getResults()[programKey] || null;
+  }
+
+  /**
+   * Save the result of a program
+   */
+  saveResult(programKey, result) {
+    const results = this.getResults();
+    results[programKey] = result;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(results));
+    } catch (error) {
+      console.warn('Failed to save quiz result');
+    }
+  }
+
+  /**
+   * Remove saved results (one program or all)
+   */
+  clearResults(programKey) {
+    try {
+      if (programKey) {
+        const results = this.getResults();
+        delete results[programKey];
+        localStorage.setItem(this.storageKey, JSON.stringify(results));
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.warn('Failed to clear quiz results');
+    }
+  }
+}
+
+// Create global instance
+const selfAssessment = new SelfAssessment();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => selfAssessment.init());
+} else {
+  selfAssessment.init();
+}
+
+// Open the quiz of a program
+function openQuiz(programKey) {
+  return selfAssessment.open(programKey);
+}
+
+// Export for use in other modules
+window.selfAssessment = selfAssessment;
+window.openQuiz = openQuiz;
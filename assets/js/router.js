@@ -0,0 +1,213 @@
+/**
+ * ==========================================
+ * Router - Hash-based deep links
+ * ==========================================
+ * Maps shareable URLs to the content modals:
+ *   #/program/teens        questions of a program
+ *   #/program/teens/3      answer to question 3 (1-based)
+ *   #/quiz/teens           self-assessment of a program
+ *   #/reference/buddhism   a reference essay
+ *   #/messages             the site messages modal
+ *   #/stat/divorce         scroll to a statistic
+ *   #/lang/fr              switch language
+ */
+
+class Router {
+  constructor() {
+    this.routes = [];
+    this.currentHash = null;
+    this.applying = false;
+
+    // Route of each open modal, restored when a modal above it closes
+    this.modalRoutes = {};
+
+    this.registerDefaultRoutes();
+  }
+
+  /**
+   * Start listening once i18n has loaded, so content is available
+   */
+  init() {
+    window.addEventListener('hashchange', () => this.handleLocation());
+    window.addEventListener('popstate', () => this.handleLocation());
+
+    // Modal closed by the user: show the route of what is still open
+    window.addEventListener('modalClosed', () => this.onModalClosed());
+
+    if (window.i18n && window.i18n.getCurrentLang()) {
+      this.handleLocation();
+    } else {
+      window.addEventListener('languageChanged', () => this.handleLocation(), { once: true });
+    }
+  }
+
+  /**
+   * Register a route: pattern segments starting with ":" are params
+   */
+  register(pattern, handler) {
+    const segments = pattern.split('/').filter(Boolean);
+    this.routes.push({ segments, handler });
+  }
+
+  /**
+   * Default routes for the content functions in content.js
+   */
+  registerDefaultRoutes() {
+    this.register('/program/:program', ({ program }) => window.openProgram(program));
+
+    this.register('/program/:program/:question', ({ program, question }) =>
+      window.showAnswer(program, parseInt(question, 10) - 1)
+    );
+
+    this.register('/quiz/:program', ({ program }) => window.openQuiz(program));
+
+    this.register('/reference/:reference', ({ reference }) =>
+      window.openReferenceModal(`reference-${reference}`)
+    );
+
+    this.register('/messages', () => window.openMessagesModal());
+
+    this.register('/stat/:id', ({ id }) => window.showStatistic(id));
+
+    this.register('/lang/:lang', async ({ lang }) => {
+      await window.i18n.setLanguage(lang);
+      // The language is saved, keep the URL clean for the next deep link
+      this.replace('');
+    });
+  }
+
+  /**
+   * Find the route matching a path (null for a malformed one)
+   */
+  match(path) {
+    let parts;
+    try {
+      parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      return null;
+    }
+
+    for (const route of this.routes) {
+      if (route.segments.length !== parts.length) continue;
+
+      const params = {};
+      const matched = route.segments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = parts[index];
+          return true;
+        }
+        return segment === parts[index];
+      });
+
+      if (matched) return { handler: route.handler, params };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the route path from the current hash ('' when not a route)
+   */
+  getPath() {
+    const hash = window.location.hash;
+    return hash.startsWith('#/') ? hash.slice(1) : '';
+  }
+
+  /**
+   * Apply the current URL: close open modals, then open the routed one
+   */
+  async handleLocation() {
+    const hash = window.location.hash;
+    if (hash === this.currentHash) return;
+    this.currentHash = hash;
+
+    // Plain section anchors (#about, #stats...) are not routes
+    if (hash && !hash.startsWith('#/')) return;
+
+    this.closeModals();
+
+    const path = this.getPath();
+    if (!path) return;
+
+    const route = this.match(path);
+    if (!route) {
+      console.warn(`No route for: ${path}`);
+      return;
+    }
+
+    this.applying = true;
+    try {
+      await route.handler(route.params);
+    } catch (error) {
+      console.error(`Failed to open route ${path}:`, error);
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * Called by the content functions when a modal opens; adds a history entry
+   */
+  update(path) {
+    const top = window.app && window.app.getTopModalId();
+    if (top) this.modalRoutes[top] = path;
+
+    if (this.applying) return;
+
+    const hash = `#${path}`;
+    if (window.location.hash === hash) return;
+
+    window.history.pushState({ route: path }, '', hash);
+    this.currentHash = hash;
+  }
+
+  /**
+   * Replace the current URL without adding a history entry
+   */
+  replace(path) {
+    const url = path
+      ? `#${path}`
+      : window.location.pathname + window.location.search;
+
+    window.history.replaceState(null, '', url);
+    this.currentHash = window.location.hash;
+  }
+
+  /**
+   * Close routed modals without firing modalClosed back at the router
+   */
+  closeModals() {
+    window.app.hideAllModals({ silent: true });
+  }
+
+  /**
+   * Show the route of the modal now on top, or clear it if none is left
+   */
+  onModalClosed() {
+    const top = window.app.getTopModalId();
+    const path = (top && this.modalRoutes[top]) || '';
+
+    if (path !== this.getPath()) this.replace(path);
+  }
+
+  /**
+   * Build an absolute shareable URL for a route path
+   */
+  buildUrl(path) {
+    const base = window.location.href.split('#')[0];
+    return `${base}#${path}`;
+  }
+}
+
+// Create global instance
+const router = new Router();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => router.init());
+} else {
+  router.init();
+}
+
+// Export for use in other modules
+window.router = router;
@@ -0,0 +1,186 @@
+/**
+ * ==========================================
+ * Sanitizer - Allowlist for translated HTML
+ * ==========================================
+ * Locale strings come from volunteer translators, so every string that is
+ * rendered as HTML goes through Sanitizer.setHTML(). The markup is parsed in
+ * an inert <template> and rebuilt with only:
+ *   b, i, strong, em, br, p, ul, ol, li, h3 and a[href]
+ * or, inside buttons and headings (setInlineHTML), only b, i, strong, em
+ * and br. Links keep http(s), mailto, tel, relative and #hash addresses; external
+ * ones open in a new tab. Other tags are unwrapped (their text is kept),
+ * script-like tags are dropped with their content, attributes are removed.
+ *
+ * In development (CONFIG.app.debug, localhost or file://) every removal is
+ * reported on the console with the key or place the string came from.
+ */
+
+const SANITIZER_ALLOWED_TAGS = ['B', 'I', 'STRONG', 'EM', 'BR', 'P', 'UL', 'OL', 'LI', 'H3', 'A'];
+
+// Phrasing content that may go inside a <button> or a heading
+const SANITIZER_INLINE_TAGS = ['B', 'I', 'STRONG', 'EM', 'BR'];
+
+// Dropped with everything inside them instead of being unwrapped
+const SANITIZER_DROPPED_TAGS = [
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+  'SVG', 'MATH', 'TEXTAREA', 'SELECT', 'OPTION', 'TITLE', 'XMP', 'NOEMBED', 'NOFRAMES'
+];
+
+const SANITIZER_SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const Sanitizer = {
+  /**
+   * Removals reported so far (development only)
+   */
+  violations: [],
+
+  /**
+   * Tags kept by default, by setInlineHTML() and dropped with their content
+   * (scripts/prerender.js applies the same lists)
+   */
+  allowedTags: SANITIZER_ALLOWED_TAGS,
+  inlineTags: SANITIZER_INLINE_TAGS,
+  droppedTags: SANITIZER_DROPPED_TAGS,
+
+  /**
+   * Whether removals are reported
+   */
+  isDevMode() {
+    if (window.CONFIG && CONFIG.app && CONFIG.app.debug) return true;
+
+    const { protocol, hostname } = window.location;
+    return protocol === 'file:' || hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  },
+
+  /**
+   * Sanitized DocumentFragment of an HTML string; source names where the
+   * string came from in reports (a locale key, a function), tags the
+   * uppercase tag names to keep
+   */
+  sanitize(html, source = 'unknown', tags = SANITIZER_ALLOWED_TAGS) {
+    const removed = [];
+    const fragment = document.createDocumentFragment();
+    this.copyChildren(this.parse(html), fragment, removed, tags);
+
+    if (removed.length) this.report(source, removed);
+    return fragment;
+  },
+
+  /**
+   * What sanitize() would remove from an HTML string, without reporting it
+   * (tools/translation-editor validates translations with it)
+   */
+  check(html, tags = SANITIZER_ALLOWED_TAGS) {
+    const removed = [];
+    this.copyChildren(this.parse(html), document.createDocumentFragment(), removed, tags);
+    return removed;
+  },
+
+  /**
+   * Parse HTML inert: nothing in a <template> loads or runs
+   */
+  parse(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html === null || html === undefined ? '' : html);
+    return template.content;
+  },
+
+  /**
+   * Replace an element's content with sanitized HTML
+   */
+  setHTML(element, html, source, tags) {
+    element.replaceChildren(this.sanitize(html, source, tags));
+    return element;
+  },
+
+  /**
+   * Replace a button's or heading's content with sanitized inline HTML
+   * (no links, paragraphs or lists)
+   */
+  setInlineHTML(element, html, source) {
+    return this.setHTML(element, html, source, SANITIZER_INLINE_TAGS);
+  },
+
+  /**
+   * Rebuild the allowed part of source's children into target
+   */
+  copyChildren(source, target, removed, tags = SANITIZER_ALLOWED_TAGS) {
+    source.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.data));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toUpperCase();
+
+      if (SANITIZER_DROPPED_TAGS.includes(tag)) {
+        removed.push(`<${tag.toLowerCase()}>`);
+        return;
+      }
+
+      if (!tags.includes(tag)) {
+        removed.push(`<${tag.toLowerCase()}>`);
+        this.copyChildren(node, target, removed, tags);
+        return;
+      }
+
+      const element = document.createElement(tag.toLowerCase());
+      this.copyAttributes(node, element, removed);
+      this.copyChildren(node, element, removed, tags);
+      target.appendChild(element);
+    });
+  },
+
+  /**
+   * Only a[href] with a safe address survives
+   */
+  copyAttributes(source, element, removed) {
+    Array.from(source.attributes).forEach(attribute => {
+      if (element.tagName === 'A' && attribute.name === 'href') {
+        const href = this.safeHref(attribute.value);
+        if (href !== null) {
+          element.setAttribute('href', href);
+          return;
+        }
+      }
+      // rel and target are set below for links
+      if (element.tagName === 'A' && (attribute.name === 'rel' || attribute.name === 'target')) return;
+
+      removed.push(`${source.tagName.toLowerCase()}[${attribute.name}="${attribute.value}"]`);
+    });
+
+    if (element.tagName === 'A' && /^https?:/i.test(element.getAttribute('href') || '')) {
+      element.target = '_blank';
+      element.rel = 'noopener noreferrer';
+    }
+  },
+
+  /**
+   * The address when it is relative, a #hash or uses a safe protocol;
+   * null otherwise (javascript:, data:, ...)
+   */
+  safeHref(value) {
+    // Browsers ignore whitespace and control characters inside a scheme
+    const href = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+    if (!href) return null;
+
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(href);
+    if (!scheme) return href.startsWith('//') ? `https:${href}` : href;
+
+    return SANITIZER_SAFE_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`) ? href : null;
+  },
+
+  /**
+   * Report removals in development
+   */
+  report(source, removed) {
+    if (!this.isDevMode()) return;
+
+    this.violations.push({ source, removed });
+    console.warn(`Unsafe HTML removed from "${source}":`, removed.join(', '));
+  }
+};
+
+// Make Sanitizer globally available
+window.Sanitizer = Sanitizer;
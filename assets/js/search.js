@@ -0,0 +1,543 @@
+/**
+ * ==========================================
+ * Site Search - Offline full-text search
+ * ==========================================
+ * Builds an in-memory index from the active locale (program Q&A,
+ * reference essays, site messages, human vision) and opens the
+ * matching modal. Arabic text is normalized (diacritics, alef/hamza
+ * forms, taa marbuta, tatweel); other languages get light stemming.
+ */
+
+// Arabic diacritics (harakat, shadda, sukun, dagger alef, Quranic marks) and tatweel
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+// Arabic letter variants folded to one form
+const ARABIC_LETTERS = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+  'ى': 'ي', 'ئ': 'ي', 'ؤ': 'و', 'ة': 'ه'
+};
+
+// Light Arabic stemming: article/conjunction prefixes and common suffixes
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const ARABIC_SUFFIXES = ['ات', 'ون', 'ين', 'ان', 'ها', 'ه'];
+
+// Suffixes stripped per language (after diacritics are removed), longest first
+const STEM_SUFFIXES = {
+  en: ['ations', 'ation', 'ments', 'ment', 'ness', 'ing', 'ies', 'ed', 'es', 'ly', 's'],
+  fr: ['ations', 'ation', 'ements', 'ement', 'euses', 'euse', 'ites', 'ite', 'es', 's', 'e'],
+  es: ['aciones', 'acion', 'mente', 'es', 's', 'a', 'o'],
+  pt: ['coes', 'cao', 'mente', 'es', 's', 'a', 'o'],
+  it: ['zioni', 'zione', 'mente', 'i', 'e', 'a', 'o'],
+  de: ['ungen', 'ung', 'heit', 'keit', 'en', 'er', 'es', 'e', 'n', 's'],
+  nl: ['heden', 'heid', 'en', 's'],
+  default: ['s']
+};
+
+// Suffixes stripped only after these endings, so singular and plural share a
+// stem: "boxes" and "box", but "phones" and "phone"; "class" keeps its s
+const STEM_CONDITIONS = {
+  en: { es: /(?:s|x|z|ch|sh)es$/, s: /[^s]s$/ }
+};
+
+const MIN_STEM_LENGTH = 3;
+
+// Field weights: a hit in a title counts more than one in the body
+const TITLE_WEIGHT = 3;
+const BODY_WEIGHT = 1;
+
+// Words are letters and digits; combining marks stay attached to their letter
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+class SearchIndex {
+  constructor(lang) {
+    this.lang = lang || 'ar';
+    this.baseLang = this.lang.split('-')[0];
+    this.documents = [];
+    this.postings = new Map();
+  }
+
+  /**
+   * Fold case, diacritics and letter variants of a single word
+   */
+  normalize(word) {
+    let text = word.toLocaleLowerCase(this.lang);
+
+    // Eastern Arabic and Persian digits to ASCII
+    text = text.replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0));
+
+    if (/[\u0600-\u06FF]/.test(text)) {
+      text = text.replace(ARABIC_MARKS, '').replace(/[أإآٱىئؤة]/g, ch => ARABIC_LETTERS[ch]);
+    }
+
+    // Latin/Greek/Cyrillic accents
+    return text.normalize('NFD').replace(/\p{M}/gu, '');
+  }
+
+  /**
+   * Reduce a normalized word to its stem
+   */
+  stem(word) {
+    if (/[\u0600-\u06FF]/.test(word)) {
+      return this.stemArabic(word);
+    }
+
+    const suffixes = STEM_SUFFIXES[this.baseLang] || STEM_SUFFIXES.default;
+    const conditions = STEM_CONDITIONS[this.baseLang] || {};
+    const suffix = suffixes.find(s => word.endsWith(s) && word.length - s.length >= MIN_STEM_LENGTH
+      && (!conditions[s] || conditions[s].test(word)));
+    return suffix ? word.slice(0, -suffix.length) : word;
+  }
+
+  /**
+   * Light Arabic stemming (prefix and suffix stripping, no roots)
+   */
+  stemArabic(word) {
+    let stem = word;
+
+    const prefix = ARABIC_PREFIXES.find(p => stem.startsWith(p) && stem.length - p.length >= MIN_STEM_LENGTH - 1);
+    if (prefix) stem = stem.slice(prefix.length);
+
+    const suffix = ARABIC_SUFFIXES.find(s => stem.endsWith(s) && stem.length - s.length >= MIN_STEM_LENGTH);
+    if (suffix) stem = stem.slice(0, -suffix.length);
+
+    return stem;
+  }
+
+  /**
+   * Split text into index terms
+   */
+  tokenize(text) {
+    return (String(text).match(WORD_PATTERN) || [])
+      .map(word => this.stem(this.normalize(word)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Add a document: { title, text, type, action }
+   */
+  add(document) {
+    const id = this.documents.length;
+    this.documents.push(document);
+
+    const addTerms = (text, weight) => {
+      this.tokenize(text).forEach(term => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docs = this.postings.get(term);
+        docs.set(id, (docs.get(id) || 0) + weight);
+      });
+    };
+
+    addTerms(document.title, TITLE_WEIGHT);
+    addTerms(document.text, BODY_WEIGHT);
+    return id;
+  }
+
+  /**
+   * Check whether an index term matches a query term (exact or prefix)
+   */
+  matchFactor(indexTerm, queryTerm) {
+    if (indexTerm === queryTerm) return 1;
+    if (queryTerm.length >= 2 && indexTerm.startsWith(queryTerm)) return 0.6;
+    return 0;
+  }
+
+  /**
+   * Ranked results: [{ document, score, terms }]
+   * Documents matching the most query terms come first, then by TF-IDF score.
+   */
+  search(query, limit = 20) {
+    const queryTerms = Array.from(new Set(this.tokenize(query)));
+    if (!queryTerms.length) return [];
+
+    const results = new Map();
+    const total = this.documents.length;
+
+    queryTerms.forEach(queryTerm => {
+      const best = new Map();
+
+      this.postings.forEach((docs, indexTerm) => {
+        const factor = this.matchFactor(indexTerm, queryTerm);
+        if (!factor) return;
+
+        const idf = Math.log(1 + total / docs.size);
+        docs.forEach((weight, id) => {
+          const score = Math.log(1 + weight) * idf * factor;
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+
+      best.forEach((score, id) => {
+        const result = results.get(id) || { document: this.documents[id], score: 0, matched: 0 };
+        result.score += score;
+        result.matched++;
+        results.set(id, result);
+      });
+    });
+
+    const ranked = Array.from(results.values());
+    const mostMatched = ranked.reduce((max, r) => Math.max(max, r.matched), 0);
+
+    return ranked
+      .filter(r => r.matched === mostMatched)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(r => ({ document: r.document, score: r.score, terms: queryTerms }));
+  }
+
+  /**
+   * Check whether a word of the original text matches any query term
+   */
+  isMatch(word, queryTerms) {
+    const term = this.stem(this.normalize(word));
+    return queryTerms.some(queryTerm => this.matchFactor(term, queryTerm) > 0);
+  }
+
+  /**
+   * Excerpt around the first match: [{ text, match }] segments
+   */
+  snippet(text, queryTerms, radius = 80) {
+    const words = Array.from(String(text).matchAll(WORD_PATTERN));
+    const first = words.find(m => this.isMatch(m[0], queryTerms));
+
+    const center = first ? first.index : 0;
+    let start = Math.max(0, center - radius);
+    let end = Math.min(text.length, center + radius);
+
+    // Don't cut words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < center) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > center) end = space;
+    }
+
+    const segments = [];
+    let cursor = start;
+
+    words.forEach(m => {
+      if (m.index < start || m.index + m[0].length > end) return;
+      if (!this.isMatch(m[0], queryTerms)) return;
+
+      if (m.index > cursor) segments.push({ text: text.slice(cursor, m.index), match: false });
+      segments.push({ text: m[0], match: true });
+      cursor = m.index + m[0].length;
+    });
+
+    if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+    if (start > 0) segments.unshift({ text: '… ', match: false });
+    if (end < text.length) segments.push({ text: ' …', match: false });
+
+    return segments;
+  }
+}
+
+class SiteSearch {
+  constructor() {
+    this.index = null;
+    this.building = null;
+    this.lastQuery = '';
+    this.onInput = Utils.debounce(() => this.run(), 150);
+  }
+
+  /**
+   * Initialize listeners
+   */
+  init() {
+    this.input = document.getElementById('searchInput');
+    this.resultsList = document.getElementById('searchResults');
+    this.status = document.getElementById('searchStatus');
+    if (!this.input) return;
+
+    this.input.addEventListener('input', this.onInput);
+    this.input.addEventListener('keydown', (e) => this.onInputKeydown(e));
+    this.resultsList.addEventListener('keydown', (e) => this.onResultsKeydown(e));
+
+    // "/" or Ctrl+K opens the search from anywhere on the page
+    document.addEventListener('keydown', (e) => {
+      const typing = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+      if (typing || window.app.getTopModalId()) return;
+
+      if (e.key === '/' || (e.key === 'k' && (e.ctrlKey || e.metaKey))) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+
+    // Rebuild the index for the new language if it was built already
+    window.addEventListener('languageChanged', () => {
+      if (!this.index) return;
+      this.index = null;
+      this.build().then(() => this.run(true));
+    });
+  }
+
+  /**
+   * Translate a UI string of the search
+   */
+  t(key, params) {
+    return window.i18n ? window.i18n.t(`search.${key}`, params) : key;
+  }
+
+  /**
+   * Open the search modal
+   */
+  async open(query) {
+    window.app.showModal('searchModal');
+    if (typeof query === 'string') this.input.value = query;
+    this.input.focus();
+    this.input.select();
+
+    await this.build();
+    this.run(true);
+  }
+
+  /**
+   * Close the search modal
+   */
+  close() {
+    window.app.hideModal('searchModal');
+  }
+
+  /**
+   * Build the index for the current language (once per language)
+   */
+  build() {
+    const lang = window.i18n.getCurrentLang();
+    if (this.index && this.index.lang === lang) return Promise.resolve(this.index);
+    if (this.building && this.building.lang === lang) return this.building.promise;
+
+    this.status.textContent = window.i18n.get('common.loading');
+
+    const promise = Promise.all([ensureNamespace('programs'), ensureNamespace('references')])
+      .then(() => {
+        // Language switched again while the namespaces were loading
+        if (window.i18n.getCurrentLang() !== lang) return this.build();
+
+        this.index = this.createIndex(lang);
+        this.building = null;
+        return this.index;
+      });
+
+    this.building = { lang, promise };
+    return promise;
+  }
+
+  /**
+   * Collect searchable documents from the active locale
+   */
+  createIndex(lang) {
+    const index = new SearchIndex(lang);
+    const i18n = window.i18n;
+
+    const programs = i18n.get('programs.data');
+    if (programs && typeof programs === 'object') {
+      Object.keys(programs).forEach(key => {
+        const program = programs[key];
+        if (!program || !Array.isArray(program.questions)) return;
+
+        index.add({
+          type: 'program',
+          title: program.title,
+          text: program.questions.join(' '),
+          action: () => window.openProgram(key)
+        });
+
+        program.questions.forEach((question, i) => {
+          index.add({
+            type: 'answer',
+            title: question,
+            text: this.toPlainText(program.answers[i]),
+            context: program.title,
+            action: () => window.showAnswer(key, i)
+          });
+        });
+      });
+    }
+
+    const references = i18n.get('references.modals');
+    if (references && typeof references === 'object') {
+      Object.keys(references).forEach(name => {
+        const reference = references[name];
+        if (!reference) return;
+
+        index.add({
+          type: 'reference',
+          title: reference.title || i18n.get(`references.${name}`),
+          text: this.toPlainText(reference.content),
+          action: () => window.openReferenceModal(`reference-${name}`)
+        });
+      });
+    }
+
+    const messages = i18n.get('messagesModal');
+    if (messages && messages.content) {
+      index.add({
+        type: 'message',
+        title: messages.title,
+        text: this.toPlainText(messages.content),
+        action: () => window.openMessagesModal()
+      });
+    }
+
+    const vision = i18n.get('humanVision');
+    if (vision && vision.content) {
+      index.add({
+        type: 'vision',
+        title: vision.title,
+        text: this.toPlainText(vision.content),
+        action: () => window.scrollToSec('human-vision')
+      });
+    }
+
+    return index;
+  }
+
+  /**
+   * Strip markup from a translation that may contain HTML
+   */
+  toPlainText(html) {
+    if (typeof html !== 'string') return '';
+
+    // Tags become spaces so "<br>" doesn't glue words together; entities are
+    // decoded by an inert template (nothing is loaded or executed)
+    const template = document.createElement('template');
+    template.innerHTML = html.replace(/<[^>]*>/g, ' ');
+    return template.content.textContent.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Run the current query and render the results
+   */
+  run(force) {
+    if (!this.index) return;
+
+    const query = this.input.value.trim();
+    if (query === this.lastQuery && !force) return;
+    this.lastQuery = query;
+
+    if (!query) {
+      this.resultsList.replaceChildren();
+      this.status.textContent = this.t('hint');
+      return;
+    }
+
+    this.results = this.index.search(query);
+    this.render(this.results);
+    this.status.textContent = this.t('results', { count: this.results.length });
+  }
+
+  /**
+   * Render result buttons with highlighted excerpts
+   */
+  render(results) {
+    const items = results.map((result, i) => {
+      const { document: doc, terms } = result;
+      const li = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'search-result';
+      button.dataset.index = String(i);
+
+      const type = document.createElement('span');
+      type.className = `search-result-type search-type-${doc.type}`;
+      type.textContent = doc.context
+        ? `${this.t(`types.${doc.type}`)} · ${doc.context}`
+        : this.t(`types.${doc.type}`);
+
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      this.appendSegments(title, this.index.snippet(doc.title, terms, doc.title.length));
+
+      const excerpt = document.createElement('span');
+      excerpt.className = 'search-result-snippet';
+      this.appendSegments(excerpt, this.index.snippet(doc.text, terms));
+
+      button.append(type, title, excerpt);
+      button.addEventListener('click', () => this.select(result));
+      li.appendChild(button);
+      return li;
+    });
+
+    this.resultsList.replaceChildren(...items);
+  }
+
+  /**
+   * Append text segments, wrapping matches in <mark>
+   */
+  appendSegments(parent, segments) {
+    segments.forEach(segment => {
+      if (segment.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = segment.text;
+        parent.appendChild(mark);
+      } else {
+        parent.appendChild(document.createTextNode(segment.text));
+      }
+    });
+  }
+
+  /**
+   * Close the search and open the result's modal or section
+   */
+  select(result) {
+    this.close();
+    result.document.action();
+  }
+
+  /**
+   * Enter opens the first result, arrow down moves into the list
+   */
+  onInputKeydown(e) {
+    const buttons = this.resultsList.querySelectorAll('.search-result');
+
+    if (e.key === 'Enter' && this.results && this.results.length) {
+      e.preventDefault();
+      this.select(this.results[0]);
+    } else if (e.key === 'ArrowDown' && buttons.length) {
+      e.preventDefault();
+      buttons[0].focus();
+    }
+  }
+
+  /**
+   * Arrow keys move between results, back up to the input from the first
+   */
+  onResultsKeydown(e) {
+    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+    const buttons = Array.from(this.resultsList.querySelectorAll('.search-result'));
+    const index = buttons.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    e.preventDefault();
+    const next = index + (e.key === 'ArrowDown' ? 1 : -1);
+    if (next < 0) {
+      this.input.focus();
+    } else if (next < buttons.length) {
+      buttons[next].focus();
+    }
+  }
+}
+
+// Create global instance
+const siteSearch = new SiteSearch();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => siteSearch.init());
+} else {
+  siteSearch.init();
+}
+
+// Open the search modal, optionally with a query
+function openSearch(query) {
+  return siteSearch.open(query);
+}
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
+window.siteSearch = siteSearch;
+window.openSearch = openSearch;
@@ -0,0 +1,318 @@
+/**
+ * ==========================================
+ * Sections - Page composed from a layout
+ * ==========================================
+ * Renders the page sections and the navbar links from CONFIG.data.layout
+ * (data/layout.json). A section is { id, type, nav?, title, ... } where type
+ * is one of the registered renderers:
+ *   text        title and content keys (html: true for translated HTML)
+ *   card-grid   cards of source.<key>.name / description / source
+ *   stats       a statistics group of data/statistics.json (see content.js)
+ *   gallery     the media carousel (see gallery.js)
+ *   modal-list  cards opening a modal: program or reference
+ * Sections with a nav label get a navbar link, in layout order; links adds
+ * the other entries (a route or an external href, placed after a section).
+ *
+ * Text is set through data-i18n attributes, so language changes translate
+ * the sections like the rest of the page. sectionsRendered is dispatched
+ * once they are in the page. scripts/prerender.js runs the same renderers
+ * for the static language pages, so renderers only use the DOM it provides.
+ */
+
+// Modals a modal-list can open: grid and card classes, label key and action
+const SECTION_MODAL_LISTS = {
+  program: {
+    grid: 'awareness-grid',
+    card: 'awareness-card no-select',
+    label: key => `programs.${key}`,
+    open: key => window.openProgram(key),
+    booklet: true
+  },
+  reference: {
+    grid: 'references-grid',
+    card: 'reference-card',
+    label: key => `references.${key}`,
+    open: key => window.openReferenceModal(`reference-${key}`)
+  }
+};
+
+class SectionRegistry {
+  constructor() {
+    this.types = {};
+    this.layout = null;
+
+    // Resolved once the layout is rendered (or failed to load)
+    this.ready = new Promise(resolve => { this.resolveReady = resolve; });
+
+    this.register('text', section => this.renderText(section));
+    this.register('card-grid', section => this.renderCardGrid(section));
+    this.register('stats', section => this.renderStats(section));
+    this.register('gallery', section => this.renderGallery(section));
+    this.register('modal-list', section => this.renderModalList(section));
+  }
+
+  /**
+   * Add a section type: renderer(section) returns the section's node
+   */
+  register(type, renderer) {
+    this.types[type] = renderer;
+  }
+
+  /**
+   * Load the layout and render it
+   */
+  async init() {
+    this.container = document.getElementById('pageSections');
+    this.nav = document.querySelector('.nav-sections');
+
+    if (this.container) {
+      try {
+        this.render(await this.load());
+      } catch (error) {
+        console.error('Failed to render the page layout:', error);
+      }
+    }
+    this.resolveReady();
+  }
+
+  /**
+   * Fetch the layout file
+   */
+  async load() {
+    const response = await fetch(Utils.resolvePath(CONFIG.data.layout));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    this.layout = await response.json();
+    return this.layout;
+  }
+
+  /**
+   * Render the sections and the navbar links of a layout
+   */
+  render(layout) {
+    const sections = (layout.sections || []).filter(section => {
+      if (this.types[section.type]) return true;
+      console.warn(`Unknown section type "${section.type}" for #${section.id}`);
+      return false;
+    });
+
+    this.container.replaceChildren(...sections.map(section => this.types[section.type](section)));
+    if (this.nav) this.nav.replaceChildren(...this.renderNav(sections, layout.links || []));
+
+    // Rendered after the first languageChanged: translate now
+    if (window.i18n && window.i18n.getCurrentLang()) {
+      window.i18n.translatePage(this.container);
+      if (this.nav) window.i18n.translatePage(this.nav);
+    }
+
+    window.dispatchEvent(new CustomEvent('sectionsRendered', {
+      detail: { sections: sections.map(section => section.id) }
+    }));
+
+    // A #section link opened before the section existed
+    const target = /^#[\w-]+$/.test(window.location.hash) && document.querySelector(window.location.hash);
+    if (target && this.container.contains(target)) Utils.scrollToElement(target);
+  }
+
+  /**
+   * Navbar links: sections with a nav label, each followed by the links
+   * placed after it; the other links go at the end
+   */
+  renderNav(sections, links) {
+    const ids = sections.map(section => section.id);
+
+    return [
+      ...sections.reduce((all, section) => all.concat(
+        section.nav ? [{ label: section.nav, section: section.id }] : [],
+        links.filter(link => link.after === section.id)
+      ), []),
+      ...links.filter(link => !ids.includes(link.after))
+    ].map(link => this.renderLink(link));
+  }
+
+  /**
+   * A navbar link to a section, a route (see router.js) or another site
+   */
+  renderLink(link) {
+    const anchor = this.create('a', null, link.label);
+
+    if (link.section) {
+      anchor.href = `#${link.section}`;
+    } else if (link.route) {
+      anchor.href = `#${link.route}`;
+    } else {
+      anchor.href = link.href;
+      anchor.target = '_blank';
+      anchor.rel = 'noopener';
+      if (link.track) anchor.dataset.track = link.track;
+    }
+    return anchor;
+  }
+
+  /**
+   * Create an element with a class and a data-i18n key
+   */
+  create(tag, className, key) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (key) element.setAttribute('data-i18n', key);
+    return element;
+  }
+
+  /**
+   * <section> with its title, inside a glass box unless box is false;
+   * returns the section and the element its content goes in
+   */
+  createFrame(section, boxClass = 'glass-box', titleClass = '') {
+    const element = this.create('section', section.className || 'section');
+    element.id = section.id;
+
+    const box = section.box === false ? element : element.appendChild(this.create('div', boxClass));
+    const size = section.largeTitle === false ? '' : ' section-title-lg';
+    box.appendChild(this.create('h2', `section-main-title${size}${titleClass}`, section.title));
+
+    return { element, box };
+  }
+
+  /**
+   * Title and a paragraph
+   */
+  renderText(section) {
+    const { element, box } = this.createFrame(section);
+
+    const content = this.create('p', section.box === false ? 'section-text' : 'section-lead', section.content);
+    if (section.html) content.setAttribute('data-i18n-html', '');
+    box.appendChild(content);
+
+    return element;
+  }
+
+  /**
+   * Cards of a locale source: <source>.<key>.name, .description and .source
+   * (shown on hover)
+   */
+  renderCardGrid(section) {
+    const { element, box } = this.createFrame(section);
+    const grid = box.appendChild(this.create('div', 'grid'));
+
+    (section.items || []).forEach(item => {
+      const prefix = `${section.source}.${item.key}`;
+      const card = this.create('div', 'card');
+
+      card.appendChild(this.create('div', 'info-popup', `${prefix}.source`));
+      if (item.image) {
+        const image = this.create('img', 'inst-logo');
+        image.src = Utils.resolvePath(item.image);
+        image.alt = '';
+        image.setAttribute('data-i18n-alt', `${prefix}.name`);
+        card.appendChild(image);
+      }
+      card.append(this.create('h3', null, `${prefix}.name`), this.create('p', null, `${prefix}.description`));
+      grid.appendChild(card);
+    });
+
+    return element;
+  }
+
+  /**
+   * An empty statistics grid, filled by renderStatistics() in content.js
+   */
+  renderStats(section) {
+    const loss = section.variant === 'loss';
+    const { element, box } = this.createFrame(section,
+      loss ? 'glass-box glass-box-danger' : 'glass-box',
+      loss ? ' section-title-danger' : '');
+
+    const grid = box.appendChild(this.create('div', 'grid'));
+    grid.dataset.statsGroup = section.group;
+    if (section.variant) grid.dataset.statsVariant = section.variant;
+
+    return element;
+  }
+
+  /**
+   * The carousel with its heading, filled by gallery.js
+   */
+  renderGallery(section) {
+    const heading = this.create('div', 'media-guideline');
+    heading.appendChild(this.create('h2', 'section-main-title', section.title));
+
+    const element = this.create('section', section.className || 'carousel-wide');
+    element.id = section.id;
+    const track = element.appendChild(this.create('div', 'track animate-media'));
+    track.id = 'track-imgs';
+
+    const fragment = document.createDocumentFragment();
+    fragment.append(heading, element);
+    return fragment;
+  }
+
+  /**
+   * Cards opening a program or a reference modal
+   */
+  renderModalList(section) {
+    const list = SECTION_MODAL_LISTS[section.modal];
+    const { element, box } = this.createFrame(section);
+    if (!list) {
+      console.warn(`Unknown modal "${section.modal}" for #${section.id}`);
+      return element;
+    }
+
+    const grid = box.appendChild(this.create('div', list.grid));
+    (section.items || []).forEach(item => {
+      const card = this.create('div', list.card);
+      card.tabIndex = 0;
+      card.setAttribute('role', 'button');
+
+      if (item.icon) card.appendChild(this.create('i', `fas ${item.icon}`));
+      card.appendChild(this.create('span', null, list.label(item.key)));
+      if (list.booklet) card.appendChild(this.createBookletButton(item.key));
+
+      card.addEventListener('click', () => list.open(item.key));
+      card.addEventListener('keydown', (e) => {
+        if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          list.open(item.key);
+        }
+      });
+      grid.appendChild(card);
+    });
+
+    if (list.booklet) box.appendChild(this.createBookletButton());
+    return element;
+  }
+
+  /**
+   * Print button of a program card, or the all-programs booklet without a key
+   */
+  createBookletButton(programKey) {
+    const button = this.create('button', programKey ? 'booklet-card-btn' : 'btn-action booklet-all-btn');
+    button.type = 'button';
+    button.innerHTML = '<i class="fas fa-print" aria-hidden="true"></i>';
+
+    if (programKey) {
+      button.setAttribute('data-i18n-title', 'booklet.export');
+    } else {
+      button.appendChild(this.create('span', null, 'booklet.exportAll'));
+    }
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.printBooklet(programKey);
+    });
+    return button;
+  }
+}
+
+// Create global instance
+const sectionRegistry = new SectionRegistry();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => sectionRegistry.init());
+} else {
+  sectionRegistry.init();
+}
+
+// Export for use in other modules
+window.sectionRegistry = sectionRegistry;
@@ -0,0 +1,269 @@
+/**
+ * ==========================================
+ * Meta Manager - Title, social tags, JSON-LD
+ * ==========================================
+ * Keeps <title>, the description, Open Graph / Twitter tags and a JSON-LD
+ * block (Organization, Book and, for an open program, FAQPage) in sync with
+ * the active language and the top-most modal, so a shared program link
+ * previews with that program rather than the generic site name.
+ *
+ * Defaults come from CONFIG.seo and the seo.* locale keys.
+ */
+
+// Longest description before it is cut (what previews usually show)
+const META_DESCRIPTION_LENGTH = 160;
+
+// Modals showing a program, and where each keeps the program key
+const META_PROGRAM_MODALS = {
+  qModal: () => document.getElementById('qModal').dataset.program,
+  aModal: () => document.getElementById('aModal').dataset.program,
+  quizModal: () => window.selfAssessment && window.selfAssessment.programKey
+};
+
+class MetaManager {
+  constructor() {
+    this.config = {
+      siteName: 'CiviStories',
+      defaultTitle: document.title,
+      defaultDescription: '',
+      ...((window.CONFIG && CONFIG.seo) || {})
+    };
+
+    // Incremented by every update, so a slow namespace load can't win over a newer page
+    this.revision = 0;
+  }
+
+  /**
+   * Follow language changes and modals
+   */
+  init() {
+    window.addEventListener('languageChanged', () => this.update());
+    window.addEventListener('modalOpened', () => this.update());
+    window.addEventListener('modalClosed', () => this.update());
+
+    if (window.i18n && window.i18n.getCurrentLang()) this.update();
+  }
+
+  /**
+   * Translation of a key, or null when the locale doesn't have it
+   */
+  t(key, params) {
+    const i18n = window.i18n;
+    if (!i18n || !i18n.getCurrentLang()) return null;
+
+    const text = i18n.t(key, params);
+    return typeof text === 'string' && text !== key ? text : null;
+  }
+
+  /**
+   * Absolute URL of a site path (previews need absolute image URLs)
+   */
+  absoluteUrl(path) {
+    return new URL(Utils.resolvePath(path), window.location.href).href;
+  }
+
+  /**
+   * Public URL of the site root
+   */
+  getSiteUrl() {
+    return this.config.siteUrl || this.absoluteUrl('./');
+  }
+
+  /**
+   * Plain text of translated HTML (parsed inert, nothing loads or runs)
+   */
+  toText(html) {
+    return new DOMParser().parseFromString(String(html || ''), 'text/html').body.textContent
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Plain text cut to a description
+   */
+  toDescription(html) {
+    const text = this.toText(html);
+
+    return text.length > META_DESCRIPTION_LENGTH
+      ? `${text.slice(0, META_DESCRIPTION_LENGTH - 1).trim()}…`
+      : text;
+  }
+
+  /**
+   * What the page shows: { title, description, program? } of the top-most
+   * modal, or null for the home page
+   */
+  async describePage() {
+    const id = window.app ? window.app.getTopModalId() : null;
+    if (!id) return null;
+
+    const i18n = window.i18n;
+
+    if (META_PROGRAM_MODALS[id]) {
+      const key = META_PROGRAM_MODALS[id]();
+      if (!key) return null;
+
+      await i18n.loadNamespace('programs');
+      const program = i18n.get(`programs.data.${key}`);
+      if (!program || !Array.isArray(program.questions)) return null;
+
+      // An answer is described by its question, the rest by the program
+      const index = id === 'aModal' ? Number(document.getElementById('aModal').dataset.question) : -1;
+      const answered = index >= 0 && index < program.questions.length;
+
+      return {
+        title: answered ? this.toText(program.questions[index]) : program.title,
+        description: this.toDescription(answered
+          ? program.answers[index]
+          : this.t('seo.program', { title: program.title }) || program.questions.join(' ')),
+        program
+      };
+    }
+
+    if (id === 'referenceModal') {
+      const name = document.getElementById('referenceModal').dataset.reference;
+      await i18n.loadNamespace('references');
+      const reference = i18n.get(`references.modals.${name}`);
+      if (!reference || typeof reference !== 'object') return null;
+
+      return { title: reference.title, description: this.toDescription(reference.content) };
+    }
+
+    if (id === 'messages-modal') {
+      return {
+        title: this.t('messagesModal.title'),
+        description: this.toDescription(this.t('messagesModal.content') || '')
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply the metadata of the current language and page
+   */
+  async update() {
+    const revision = ++this.revision;
+
+    let page = null;
+    try {
+      page = await this.describePage();
+    } catch (error) {
+      console.warn('Failed to describe the page for meta tags:', error);
+    }
+    if (revision !== this.revision) return;
+
+    const siteName = this.config.siteName;
+    const siteTitle = this.t('seo.title') || this.config.defaultTitle;
+    const title = page && page.title
+      ? this.t('seo.pageTitle', { page: page.title, site: siteName }) || `${page.title} | ${siteName}`
+      : siteTitle;
+    const description = (page && page.description)
+      || this.t('seo.description') || this.config.defaultDescription;
+    const image = this.absoluteUrl(this.config.ogImage || './assets/images/logo.png');
+    const lang = (window.i18n && window.i18n.getCurrentLang()) || document.documentElement.lang;
+
+    document.title = title;
+    this.setMeta('name', 'description', description);
+    if (this.config.keywords) this.setMeta('name', 'keywords', this.t('seo.keywords') || this.config.keywords);
+
+    this.setMeta('property', 'og:type', 'website');
+    this.setMeta('property', 'og:site_name', siteName);
+    this.setMeta('property', 'og:title', title);
+    this.setMeta('property', 'og:description', description);
+    this.setMeta('property', 'og:url', window.location.href);
+    this.setMeta('property', 'og:image', image);
+    this.setMeta('property', 'og:locale', lang.replace('-', '_'));
+
+    this.setMeta('name', 'twitter:card', 'summary_large_image');
+    this.setMeta('name', 'twitter:title', title);
+    this.setMeta('name', 'twitter:description', description);
+    this.setMeta('name', 'twitter:image', image);
+
+    this.setStructuredData(this.buildStructuredData(lang, page && page.program));
+  }
+
+  /**
+   * Create or update a <meta name|property="..." content="...">
+   */
+  setMeta(attribute, name, content) {
+    let meta = document.head.querySelector(`meta[${attribute}="${name}"]`);
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.setAttribute(attribute, name);
+      document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+  }
+
+  /**
+   * schema.org graph: the organization, its book and the open program's FAQ
+   */
+  buildStructuredData(lang, program) {
+    const siteUrl = this.getSiteUrl();
+    const organization = {
+      '@type': 'Organization',
+      '@id': `${siteUrl}#organization`,
+      name: this.config.siteName,
+      url: siteUrl,
+      logo: this.absoluteUrl('./assets/images/logo.png')
+    };
+    const graph = [organization];
+
+    const book = this.config.book || {};
+    const bookTitle = this.t('seo.book') || book.name;
+    if (bookTitle) {
+      graph.push({
+        '@type': 'Book',
+        name: bookTitle,
+        author: { '@id': organization['@id'] },
+        publisher: { '@id': organization['@id'] },
+        inLanguage: lang,
+        ...(book.image ? { image: this.absoluteUrl(book.image) } : {}),
+        ...(book.url ? { url: book.url } : {})
+      });
+    }
+
+    if (program) {
+      graph.push({
+        '@type': 'FAQPage',
+        name: program.title,
+        inLanguage: lang,
+        mainEntity: program.questions.map((question, index) => ({
+          '@type': 'Question',
+          name: this.toText(question),
+          acceptedAnswer: { '@type': 'Answer', text: this.toText(program.answers[index]) }
+        }))
+      });
+    }
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+  }
+
+  /**
+   * Replace the JSON-LD block
+   */
+  setStructuredData(data) {
+    let script = document.getElementById('structuredData');
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.id = 'structuredData';
+      document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(data).replace(/</g, '\\u003c');
+  }
+}
+
+// Create global instance
+const metaManager = new MetaManager();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => metaManager.init());
+} else {
+  metaManager.init();
+}
+
+// Export for use in other modules
+window.metaManager = metaManager;
@@ -0,0 +1,422 @@
+/**
+ * ==========================================
+ * Share - Links and image cards for content
+ * ==========================================
+ * Share an answer, a reference essay or a statistic: the share modal offers
+ * the deep link (Web Share API, or copied with Utils.copyToClipboard) and a
+ * branded image card drawn on a canvas (logo, title, short text, site URL)
+ * that can be downloaded for Instagram / TikTok posts or shared as a file.
+ *
+ * The card uses the page fonts; the canvas shapes Arabic text itself, the
+ * lines are laid out in the direction of the current language.
+ */
+
+// Card geometry (4:5 portrait, the Instagram feed format) and colors
+const SHARE_CARD = {
+  width: 1080,
+  height: 1350,
+  padding: 90,
+  logoSize: 150,
+  titleFont: '700 58px Cairo, Tajawal, sans-serif',
+  titleLineHeight: 84,
+  titleLines: 4,
+  textFont: '400 40px Cairo, Tajawal, sans-serif',
+  textLineHeight: 64,
+  textLines: 7,
+  footerFont: '600 34px Cairo, Tajawal, sans-serif',
+  background: ['#0b0b0b', '#1c1a14'],
+  gold: '#d4af37',
+  text: '#ffffff',
+  muted: '#bdbdbd'
+};
+
+// Longest text put on a card or in a share message
+const SHARE_TEXT_LENGTH = 280;
+
+class ShareManager {
+  constructor() {
+    this.item = null;
+    this.cardBlob = null;
+  }
+
+  /**
+   * Find the share modal and wire its buttons
+   */
+  init() {
+    this.modal = document.getElementById('shareModal');
+    if (!this.modal) return;
+
+    this.titleEl = this.modal.querySelector('.share-item-title');
+    this.preview = this.modal.querySelector('.share-preview');
+    this.canvas = this.modal.querySelector('.share-canvas');
+    this.status = this.modal.querySelector('.share-status');
+    this.linkBtn = this.modal.querySelector('.share-link-btn');
+    this.imageBtn = this.modal.querySelector('.share-image-btn');
+    this.downloadBtn = this.modal.querySelector('.share-download-btn');
+
+    this.linkBtn.addEventListener('click', () => this.shareLink());
+    this.imageBtn.addEventListener('click', () => this.shareImage());
+    this.downloadBtn.addEventListener('click', () => this.download());
+
+    // Share buttons of the answer and reference modals
+    const answerShare = document.getElementById('answerShareBtn');
+    if (answerShare) {
+      answerShare.addEventListener('click', () => {
+        const { program, question } = document.getElementById('aModal').dataset;
+        shareAnswer(program, Number(question));
+      });
+    }
+
+    const referenceShare = document.getElementById('referenceShareBtn');
+    if (referenceShare) {
+      referenceShare.addEventListener('click', () =>
+        shareReference(document.getElementById('referenceModal').dataset.reference));
+    }
+
+    window.addEventListener('languageChanged', () => {
+      if (window.app && window.app.isModalOpen('shareModal')) window.app.hideModal('shareModal');
+    });
+  }
+
+  /**
+   * Translation helper
+   */
+  t(key, params) {
+    return window.i18n ? window.i18n.t(`share.${key}`, params) : key;
+  }
+
+  /**
+   * Plain text of translated HTML, cut to length at a word boundary
+   */
+  shorten(html, length = SHARE_TEXT_LENGTH) {
+    const text = new DOMParser().parseFromString(String(html || ''), 'text/html').body.textContent
+      .replace(/^[\s*•-]+/gm, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (text.length <= length) return text;
+
+    const cut = text.slice(0, length);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > length * 0.6 ? cut.slice(0, space) : cut).trim()}…`;
+  }
+
+  /**
+   * Open the share modal for an item: { type, id, title, text, path }
+   */
+  async open(item) {
+    if (!this.modal) return;
+
+    this.item = { ...item, url: window.router ? window.router.buildUrl(item.path) : window.location.href };
+    this.cardBlob = null;
+
+    this.titleEl.textContent = item.title;
+    this.status.textContent = '';
+    this.linkBtn.querySelector('span').textContent = this.t(navigator.share ? 'shareLink' : 'copyLink');
+    this.preview.hidden = true;
+    this.imageBtn.hidden = true;
+    this.downloadBtn.hidden = true;
+
+    window.app.showModal('shareModal');
+    await this.renderCard();
+  }
+
+  /**
+   * Web Share API, or copy the deep link
+   */
+  async shareLink() {
+    const { title, text, url } = this.item;
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title, text: `${title}\n${text}`, url });
+        this.track('link');
+      } catch (error) {
+        // Closing the share sheet is not an error
+        if (error.name !== 'AbortError') this.copyLink();
+      }
+      return;
+    }
+
+    await this.copyLink();
+  }
+
+  /**
+   * Copy "title + link" for pasting in a chat
+   */
+  async copyLink() {
+    const copied = await Utils.copyToClipboard(`${this.item.title}\n${this.item.url}`);
+    this.status.textContent = this.t(copied ? 'copied' : 'copyFailed');
+    if (copied) this.track('copy');
+  }
+
+  /**
+   * Share the card as an image file where the browser allows it
+   */
+  async shareImage() {
+    const file = this.getCardFile();
+    if (!file) return;
+
+    try {
+      await navigator.share({ files: [file], title: this.item.title, text: this.item.url });
+      this.track('image');
+    } catch (error) {
+      if (error.name !== 'AbortError') this.download();
+    }
+  }
+
+  /**
+   * Save the card as a PNG
+   */
+  download() {
+    if (!this.cardBlob) return;
+
+    const url = URL.createObjectURL(this.cardBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = this.getCardFileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this.track('download');
+  }
+
+  /**
+   * civistories-<type>-<id>.png
+   */
+  getCardFileName() {
+    const id = String(this.item.id).replace(/[^\w-]+/g, '-');
+    return `civistories-${this.item.type}-${id}.png`;
+  }
+
+  /**
+   * The card as a File for navigator.share, or null when files can't be shared
+   */
+  getCardFile() {
+    if (!this.cardBlob || typeof File !== 'function' || !navigator.canShare) return null;
+
+    const file = new File([this.cardBlob], this.getCardFileName(), { type: 'image/png' });
+    return navigator.canShare({ files: [file] }) ? file : null;
+  }
+
+  /**
+   * Record a share in analytics
+   */
+  track(method) {
+    if (window.analytics) {
+      window.analytics.track('share', { type: this.item.type, id: this.item.id, method });
+    }
+  }
+
+  /**
+   * Draw the card and show the image actions (skipped without canvas)
+   */
+  async renderCard() {
+    const ctx = this.canvas.getContext && this.canvas.getContext('2d');
+    if (!ctx) return;
+
+    const item = this.item;
+    try {
+      // Canvas text falls back silently when the web font isn't loaded yet
+      if (document.fonts && document.fonts.load) {
+        await Promise.all([
+          document.fonts.load(SHARE_CARD.titleFont),
+          document.fonts.load(SHARE_CARD.textFont)
+        ]);
+      }
+      const logo = await this.loadImage(Utils.resolvePath('./assets/images/logo.png'));
+      if (this.item !== item) return;
+
+      this.drawCard(ctx, logo);
+      this.cardBlob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+    } catch (error) {
+      console.warn('Failed to draw the share card:', error);
+      return;
+    }
+
+    if (this.item !== item || !this.cardBlob) return;
+    this.preview.hidden = false;
+    this.downloadBtn.hidden = false;
+    this.imageBtn.hidden = !this.getCardFile();
+  }
+
+  /**
+   * Load an image, or resolve null when it fails
+   */
+  loadImage(src) {
+    return new Promise(resolve => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => resolve(null);
+      image.src = src;
+    });
+  }
+
+  /**
+   * Paint the card: background, logo, title, text, site URL
+   */
+  drawCard(ctx, logo) {
+    const { width, height, padding } = SHARE_CARD;
+    const dir = (window.i18n && window.i18n.getDirection()) || 'rtl';
+    const rtl = dir === 'rtl';
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.canvas.dir = dir;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, SHARE_CARD.background[0]);
+    gradient.addColorStop(1, SHARE_CARD.background[1]);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = SHARE_CARD.gold;
+    ctx.lineWidth = 8;
+    ctx.strokeRect(30, 30, width - 60, height - 60);
+
+    let y = padding;
+    if (logo) {
+      ctx.drawImage(logo, (width - SHARE_CARD.logoSize) / 2, y, SHARE_CARD.logoSize, SHARE_CARD.logoSize);
+    }
+    y += SHARE_CARD.logoSize + 70;
+
+    // Lines start on the right in RTL
+    ctx.direction = dir;
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'top';
+    const x = rtl ? width - padding : padding;
+    const maxWidth = width - padding * 2;
+
+    ctx.font = SHARE_CARD.titleFont;
+    ctx.fillStyle = SHARE_CARD.gold;
+    this.wrapText(ctx, this.item.title, maxWidth, SHARE_CARD.titleLines).forEach(line => {
+      ctx.fillText(line, x, y);
+      y += SHARE_CARD.titleLineHeight;
+    });
+
+    y += 30;
+    ctx.font = SHARE_CARD.textFont;
+    ctx.fillStyle = SHARE_CARD.text;
+    this.wrapText(ctx, this.item.text, maxWidth, SHARE_CARD.textLines).forEach(line => {
+      ctx.fillText(line, x, y);
+      y += SHARE_CARD.textLineHeight;
+    });
+
+    // Footer: site name and address, centered
+    const site = window.i18n ? window.i18n.t('footer.title') : '';
+    const host = new URL(this.item.url).host;
+    ctx.textAlign = 'center';
+    ctx.font = SHARE_CARD.footerFont;
+    ctx.fillStyle = SHARE_CARD.gold;
+    ctx.fillText(site, width / 2, height - padding - 100);
+    ctx.fillStyle = SHARE_CARD.muted;
+    ctx.fillText(host, width / 2, height - padding - 50);
+  }
+
+  /**
+   * Break text into lines that fit maxWidth; the last kept line gets an
+   * ellipsis when text is left over. Words longer than a line (or scripts
+   * without spaces) are broken by character.
+   */
+  wrapText(ctx, text, maxWidth, maxLines) {
+    const lines = [];
+    let line = '';
+
+    const push = () => {
+      if (line) lines.push(line);
+      line = '';
+    };
+
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        return;
+      }
+
+      push();
+      if (ctx.measureText(word).width <= maxWidth) {
+        line = word;
+        return;
+      }
+
+      Array.from(word).forEach(char => {
+        if (ctx.measureText(line + char).width > maxWidth) push();
+        line += char;
+      });
+    });
+    push();
+
+    if (lines.length <= maxLines) return lines;
+
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    kept[maxLines - 1] = `${last.trim()}…`;
+    return kept;
+  }
+}
+
+// Create global instance
+const shareManager = new ShareManager();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => shareManager.init());
+} else {
+  shareManager.init();
+}
+
+// Share an answer of a program (0-based question index)
+async function shareAnswer(programKey, questionIndex) {
+  await window.i18n.loadNamespace('programs');
+  const program = window.i18n.get(`programs.data.${programKey}`);
+  if (!program || !program.questions || !program.questions[questionIndex]) return;
+
+  return shareManager.open({
+    type: 'answer',
+    id: `${programKey}-${questionIndex + 1}`,
+    title: shareManager.shorten(program.questions[questionIndex]),
+    text: shareManager.shorten(program.answers[questionIndex]),
+    path: `/program/${programKey}/${questionIndex + 1}`
+  });
+}
+
+// Share a reference essay
+async function shareReference(name) {
+  await window.i18n.loadNamespace('references');
+  const reference = window.i18n.get(`references.modals.${name}`);
+  if (!reference || typeof reference !== 'object') return;
+
+  return shareManager.open({
+    type: 'reference',
+    id: name,
+    title: shareManager.shorten(reference.title),
+    text: shareManager.shorten(reference.content),
+    path: `/reference/${name}`
+  });
+}
+
+// Share a statistic: its value and label, with the source as text
+async function shareStatistic(id) {
+  await loadStatistics();
+  const item = getStatistic(id);
+  const group = getStatisticGroup(id);
+  if (!item || !group) return;
+
+  return shareManager.open({
+    type: 'statistic',
+    id,
+    title: `${formatStatistic(item, item.value)} ${window.i18n.get(`${group}.${id}.label`)}`,
+    text: formatCitation(group, item),
+    path: `/stat/${id}`
+  });
+}
+
+// Export for use in other modules
+window.shareManager = shareManager;
+window.shareAnswer = shareAnswer;
+window.shareReference = shareReference;
+window.shareStatistic = shareStatistic;
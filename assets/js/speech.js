@@ -0,0 +1,368 @@
+/**
+ * ==========================================
+ * Read Aloud - Speech player for long texts
+ * ==========================================
+ * Reads the answer and reference modals with speechSynthesis, one sentence
+ * at a time so the sentence being read can be highlighted. A player is a
+ * [data-read-aloud="id id ..."] element naming the containers it reads.
+ *
+ * The voice follows i18n.getCurrentLang(); without a matching voice (or
+ * without speechSynthesis) the player says so instead of reading in the
+ * wrong language. Speech stops when its modal closes, its text is replaced
+ * or the language changes.
+ */
+
+// Sentence ends when Intl.Segmenter isn't available (Latin, Arabic, CJK)
+const READ_ALOUD_SENTENCE_END = /[^.!?؟。！？\n]+(?:[.!?؟。！？]+|\n|$)/g;
+
+class ReadAloud {
+  constructor() {
+    const config = (window.CONFIG && CONFIG.readAloud) || {};
+
+    this.rates = config.rates || [0.75, 1, 1.25, 1.5];
+    this.storageKey = config.storageKey || 'read_aloud_rate';
+    this.rate = this.getSavedRate();
+
+    this.synth = window.speechSynthesis || null;
+    this.players = [];
+
+    // Current reading: player, sentence spans and position
+    this.player = null;
+    this.sentences = [];
+    this.index = 0;
+    this.state = 'stopped';
+  }
+
+  /**
+   * Set up the players and stop speaking when their context goes away
+   */
+  init() {
+    this.players = Array.from(document.querySelectorAll('[data-read-aloud]')).map(element => ({
+      element,
+      modal: element.closest('.modal-overlay'),
+      play: element.querySelector('.read-aloud-play'),
+      stop: element.querySelector('.read-aloud-stop'),
+      select: element.querySelector('.read-aloud-rate'),
+      status: element.querySelector('.read-aloud-status')
+    }));
+    if (this.players.length === 0) return;
+
+    // Not supported at all: nothing to offer
+    if (!this.synth || typeof window.SpeechSynthesisUtterance !== 'function') return;
+
+    this.players.forEach(player => {
+      player.element.hidden = false;
+      player.play.addEventListener('click', () => this.toggle(player));
+      player.stop.addEventListener('click', () => this.stop());
+      player.select.addEventListener('change', () => this.setRate(Number(player.select.value)));
+      this.renderRates(player);
+    });
+
+    window.addEventListener('modalClosed', (e) => {
+      if (this.player && this.player.modal && e.detail && e.detail.id === this.player.modal.id) this.stop();
+    });
+
+    // The router closes modals silently (Back, another route)
+    this.modalObserver = new MutationObserver(() => {
+      if (this.player && this.player.modal && !window.app.isModalOpen(this.player.modal.id)) this.stop();
+    });
+    this.players
+      .filter(player => player.modal)
+      .forEach(player => this.modalObserver.observe(player.modal, { attributes: true, attributeFilter: ['aria-hidden'] }));
+
+    window.addEventListener('languageChanged', () => {
+      this.stop();
+      this.players.forEach(player => this.renderRates(player));
+      this.updatePlayers();
+    });
+
+    // Text replaced by another answer or essay while reading
+    this.observer = new MutationObserver(() => {
+      if (this.sentences.length && !this.sentences[this.index].isConnected) this.stop();
+    });
+
+    // Voices load asynchronously in some browsers
+    if (typeof this.synth.addEventListener === 'function') {
+      this.synth.addEventListener('voiceschanged', () => this.updatePlayers());
+    }
+
+    this.updatePlayers();
+  }
+
+  /**
+   * Translation helper
+   */
+  t(key) {
+    return window.i18n ? window.i18n.t(`readAloud.${key}`) : key;
+  }
+
+  /**
+   * Best installed voice for the current language, or null
+   */
+  getVoice() {
+    const lang = (window.i18n && window.i18n.getCurrentLang()) || document.documentElement.lang;
+    if (!this.synth || !lang) return null;
+
+    const base = lang.toLowerCase().split('-')[0];
+    const voices = this.synth.getVoices().filter(voice =>
+      voice.lang && voice.lang.toLowerCase().replace('_', '-').split('-')[0] === base);
+
+    // Exact match first, then the browser's default, then offline voices
+    const exact = voices.filter(voice => voice.lang.toLowerCase().replace('_', '-') === lang.toLowerCase());
+    const candidates = exact.length ? exact : voices;
+    return candidates.find(voice => voice.default)
+      || candidates.find(voice => voice.localService)
+      || candidates[0]
+      || null;
+  }
+
+  /**
+   * Speed options, in the digits of the current language
+   */
+  renderRates(player) {
+    player.select.textContent = '';
+    this.rates.forEach(rate => {
+      const option = document.createElement('option');
+      option.value = rate;
+      option.textContent = `${formatter.number(rate)}×`;
+      option.selected = rate === this.rate;
+      player.select.appendChild(option);
+    });
+  }
+
+  /**
+   * Button labels, state and the no-voice notice of every player
+   */
+  updatePlayers() {
+    const available = !!this.getVoice();
+
+    this.players.forEach(player => {
+      const active = player === this.player && this.state !== 'stopped';
+      const label = active && this.state === 'playing' ? 'pause' : active ? 'resume' : 'play';
+      const icon = { play: 'fa-volume-up', pause: 'fa-pause', resume: 'fa-play' }[label];
+
+      player.element.classList.toggle('is-active', active);
+      player.play.disabled = !available;
+      player.play.querySelector('i').className = `fas ${icon}`;
+      player.play.querySelector('span').textContent = this.t(label);
+      player.stop.hidden = !active;
+      player.stop.setAttribute('aria-label', this.t('stop'));
+      player.stop.title = this.t('stop');
+      player.select.setAttribute('aria-label', this.t('speed'));
+      player.status.textContent = available ? '' : this.t('noVoice');
+    });
+  }
+
+  /**
+   * Play, pause or resume a player
+   */
+  toggle(player) {
+    if (player === this.player && this.state === 'playing') {
+      this.pause();
+    } else if (player === this.player && this.state === 'paused') {
+      this.speak();
+    } else {
+      this.start(player);
+    }
+  }
+
+  /**
+   * Read a player's containers from the beginning
+   */
+  start(player) {
+    this.stop();
+
+    const containers = player.element.dataset.readAloud.split(/\s+/)
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+
+    this.sentences = containers.reduce((all, container) => all.concat(this.wrapSentences(container)), [])
+      .filter(span => this.toSpeech(span.textContent));
+    if (this.sentences.length === 0) return;
+
+    this.player = player;
+    this.index = 0;
+    containers.forEach(container => this.observer.observe(container, { childList: true, subtree: true }));
+    this.speak();
+  }
+
+  /**
+   * Speak the current sentence, then go on with the next one
+   */
+  speak() {
+    const voice = this.getVoice();
+    const span = this.sentences[this.index];
+    if (!voice || !span) {
+      this.stop();
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(this.toSpeech(span.textContent));
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+    utterance.rate = this.rate;
+
+    utterance.onend = () => {
+      // Paused, stopped or restarted since: a newer utterance is in charge
+      if (this.utterance !== utterance) return;
+      this.index += 1;
+      if (this.index < this.sentences.length) {
+        this.speak();
+      } else {
+        this.stop();
+      }
+    };
+    utterance.onerror = (e) => {
+      if (this.utterance !== utterance || e.error === 'interrupted' || e.error === 'canceled') return;
+      console.warn('Read aloud failed:', e.error);
+      this.stop();
+    };
+
+    this.highlight(span);
+    this.utterance = utterance;
+    this.state = 'playing';
+    this.synth.cancel();
+    this.synth.speak(utterance);
+    this.updatePlayers();
+  }
+
+  /**
+   * Pause on the current sentence; resuming starts it again (pause() and
+   * resume() of speechSynthesis are unreliable on mobile)
+   */
+  pause() {
+    this.utterance = null;
+    this.synth.cancel();
+    this.state = 'paused';
+    this.updatePlayers();
+  }
+
+  /**
+   * Stop reading and remove the highlight
+   */
+  stop() {
+    if (this.observer) this.observer.disconnect();
+    if (this.synth && this.state !== 'stopped') this.synth.cancel();
+
+    this.highlight(null);
+    this.utterance = null;
+    this.player = null;
+    this.sentences = [];
+    this.index = 0;
+    this.state = 'stopped';
+    if (this.players.length) this.updatePlayers();
+  }
+
+  /**
+   * Change the speed (the current sentence restarts at the new speed)
+   */
+  setRate(rate) {
+    if (!this.rates.includes(rate)) return;
+
+    this.rate = rate;
+    this.saveRate(rate);
+    this.players.forEach(player => { player.select.value = rate; });
+    if (this.state === 'playing') this.speak();
+  }
+
+  /**
+   * Mark the sentence being read and keep it in view
+   */
+  highlight(span) {
+    this.sentences.forEach(sentence => sentence.classList.remove('is-reading'));
+    if (!span) return;
+
+    span.classList.add('is-reading');
+    if (typeof span.scrollIntoView === 'function') span.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Wrap the sentences of a container's text in spans (once per text)
+   */
+  wrapSentences(container) {
+    const existing = container.querySelectorAll('.read-aloud-sentence');
+    if (existing.length) return Array.from(existing);
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.data.trim()) nodes.push(walker.currentNode);
+    }
+
+    const spans = [];
+    nodes.forEach(node => {
+      const fragment = document.createDocumentFragment();
+      this.splitSentences(node.data).forEach(text => {
+        if (!text.trim()) {
+          fragment.appendChild(document.createTextNode(text));
+          return;
+        }
+        const span = document.createElement('span');
+        span.className = 'read-aloud-sentence';
+        span.textContent = text;
+        fragment.appendChild(span);
+        spans.push(span);
+      });
+      node.parentNode.replaceChild(fragment, node);
+    });
+
+    return spans;
+  }
+
+  /**
+   * Split text into sentences, keeping every character
+   */
+  splitSentences(text) {
+    if (typeof Intl.Segmenter === 'function') {
+      const lang = window.i18n ? window.i18n.getCurrentLang() : undefined;
+      const segments = Array.from(new Intl.Segmenter(lang, { granularity: 'sentence' }).segment(text),
+        segment => segment.segment);
+      // The segmenter keeps line breaks inside a sentence, list items need them split
+      return segments.reduce((all, segment) => all.concat(segment.split(/(?<=\n)/)), []);
+    }
+    return text.match(READ_ALOUD_SENTENCE_END) || [text];
+  }
+
+  /**
+   * Text to send to the speech engine: without list bullets
+   */
+  toSpeech(text) {
+    return text.replace(/^[\s*•-]+/, '').trim();
+  }
+
+  /**
+   * Saved speed, or 1
+   */
+  getSavedRate() {
+    try {
+      const rate = Number(localStorage.getItem(this.storageKey));
+      return this.rates.includes(rate) ? rate : 1;
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  /**
+   * Remember the speed for the next visit
+   */
+  saveRate(rate) {
+    try {
+      localStorage.setItem(this.storageKey, String(rate));
+    } catch (error) {
+      console.warn('Failed to save read aloud speed');
+    }
+  }
+}
+
+// Create global instance
+const readAloud = new ReadAloud();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => readAloud.init());
+} else {
+  readAloud.init();
+}
+
+// Export for use in other modules
+window.readAloud = readAloud;
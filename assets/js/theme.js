@@ -0,0 +1,184 @@
+/**
+ * ==========================================
+ * Theme Manager - Light, dark and high contrast
+ * ==========================================
+ * Loaded in <head> so data-theme is set on <html> before the first paint.
+ * "auto" follows the system (prefers-contrast / prefers-color-scheme);
+ * an explicit choice from the navbar toggle is saved like the language.
+ */
+
+class ThemeManager {
+  constructor() {
+    const config = window.CONFIG || {};
+    const theme = config.theme || {};
+
+    this.enabled = !config.features || config.features.enableDarkMode !== false;
+    this.themes = theme.themes || ['light', 'dark', 'high-contrast'];
+    this.defaultTheme = theme.defaultTheme || 'auto';
+    this.storageKey = theme.storageKey || 'preferred_theme';
+
+    this.media = {
+      contrast: this.matchMedia('(prefers-contrast: more), (forced-colors: active)'),
+      dark: this.matchMedia('(prefers-color-scheme: dark)')
+    };
+
+    this.preference = this.enabled ? (this.getSavedTheme() || this.defaultTheme) : 'light';
+    this.apply();
+  }
+
+  /**
+   * Set up the toggle and system listeners once the DOM is ready
+   */
+  init() {
+    this.toggle = document.getElementById('themeToggle');
+
+    if (this.toggle) {
+      this.toggle.hidden = !this.enabled;
+      this.toggle.addEventListener('click', () => this.cycle());
+      this.updateToggle();
+    }
+
+    // Follow system changes while on "auto"
+    Object.values(this.media).forEach(query => {
+      if (query && typeof query.addEventListener === 'function') {
+        query.addEventListener('change', () => {
+          if (this.preference === 'auto') this.apply();
+        });
+      }
+    });
+
+    // Toggle label is translated text built here, not a data-i18n element
+    window.addEventListener('languageChanged', () => this.updateToggle());
+  }
+
+  /**
+   * window.matchMedia, or null where unsupported
+   */
+  matchMedia(query) {
+    return typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+  }
+
+  /**
+   * Choices offered by the toggle, in cycle order
+   */
+  getOptions() {
+    return ['auto'].concat(this.themes);
+  }
+
+  /**
+   * Theme actually shown for a preference
+   */
+  resolve(preference) {
+    if (preference !== 'auto') return preference;
+
+    if (this.media.contrast && this.media.contrast.matches && this.themes.includes('high-contrast')) {
+      return 'high-contrast';
+    }
+    if (this.media.dark && this.media.dark.matches && this.themes.includes('dark')) {
+      return 'dark';
+    }
+    return 'light';
+  }
+
+  /**
+   * Apply the current preference to <html>
+   */
+  apply() {
+    const theme = this.resolve(this.preference);
+    const root = document.documentElement;
+
+    root.setAttribute('data-theme', theme);
+    root.setAttribute('data-theme-preference', this.preference);
+    this.currentTheme = theme;
+
+    window.dispatchEvent(new CustomEvent('themeChanged', {
+      detail: { theme, preference: this.preference }
+    }));
+  }
+
+  /**
+   * Choose a theme ('auto', 'light', 'dark', 'high-contrast')
+   */
+  setTheme(preference) {
+    if (!this.enabled || !this.getOptions().includes(preference)) {
+      console.warn(`Theme ${preference} not available`);
+      return false;
+    }
+
+    this.preference = preference;
+    this.saveTheme(preference);
+    this.apply();
+    this.updateToggle();
+    return true;
+  }
+
+  /**
+   * Move to the next theme in the toggle order
+   */
+  cycle() {
+    const options = this.getOptions();
+    const next = options[(options.indexOf(this.preference) + 1) % options.length];
+    this.setTheme(next);
+  }
+
+  /**
+   * Icon and accessible name of the navbar toggle
+   */
+  updateToggle() {
+    if (!this.toggle) return;
+
+    const icons = {
+      auto: 'fa-circle-half-stroke',
+      light: 'fa-sun',
+      dark: 'fa-moon',
+      'high-contrast': 'fa-eye'
+    };
+
+    const icon = this.toggle.querySelector('i');
+    if (icon) icon.className = `fas ${icons[this.preference] || icons.auto}`;
+
+    const i18n = window.i18n;
+    const label = i18n && i18n.getCurrentLang()
+      ? i18n.t('theme.label', { name: i18n.t(`theme.options.${this.preference}`) })
+      : this.preference;
+
+    this.toggle.title = label;
+    this.toggle.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Get the saved theme preference
+   */
+  getSavedTheme() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return this.getOptions().includes(saved) ? saved : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the theme preference
+   */
+  saveTheme(preference) {
+    try {
+      localStorage.setItem(this.storageKey, preference);
+    } catch (error) {
+      console.warn('Failed to save theme preference');
+    }
+  }
+}
+
+// Create global instance right away: the theme must apply before first paint
+const themeManager = new ThemeManager();
+
+// Initialize the toggle when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => themeManager.init());
+} else {
+  themeManager.init();
+}
+
+// Export for use in other modules
+window.themeManager = themeManager;
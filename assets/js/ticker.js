@@ -0,0 +1,289 @@
+/**
+ * ==========================================
+ * Ticker - Scrolling news and alerts
+ * ==========================================
+ * Renders ticker.items of the current locale. An item is a string or
+ *   { text, stat?, link?, route?, severity?, start?, end? }
+ * where stat names a statistic of data/statistics.json whose formatted value
+ * fills {value} in text (and links to #/stat/<id> unless link or route is
+ * set), link opens an external page (plain text unless Sanitizer.safeHref
+ * accepts it), route a deep link (see router.js), severity is
+ * info | warning | alert and start/end (ISO dates) schedule it.
+ *
+ * Scrolls along the language direction, pauses on hover, focus or the
+ * pause button, stays still under prefers-reduced-motion and can announce
+ * items to screen readers through a live region (CONFIG.ticker.liveRegion).
+ */
+
+const TICKER_SEVERITIES = ['info', 'warning', 'alert'];
+
+const TICKER_ICONS = {
+  info: 'fa-circle-info',
+  warning: 'fa-triangle-exclamation',
+  alert: 'fa-bell'
+};
+
+// setTimeout can't wait longer than ~24.8 days
+const TICKER_MAX_TIMEOUT = 2147483647;
+
+class Ticker {
+  constructor(options = {}) {
+    this.element = null;
+    this.options = {
+      speed: 60,
+      liveRegion: 'alerts',
+      ...((window.CONFIG && CONFIG.ticker) || {}),
+      ...options
+    };
+
+    this.items = [];
+    this.userPaused = false;
+    this.scheduleTimer = null;
+    this.announced = new Set();
+    this.reducedMotion = typeof window.matchMedia === 'function'
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+  }
+
+  /**
+   * Attach to the ticker markup and start listening
+   */
+  init(element = document.getElementById('newsTicker')) {
+    if (!element) return;
+
+    this.element = element;
+    this.track = this.element.querySelector('.ticker-track');
+    this.toggle = this.element.querySelector('.ticker-toggle');
+    this.live = this.element.querySelector('.ticker-live');
+
+    this.element.setAttribute('role', 'region');
+
+    if (this.toggle) {
+      this.toggle.addEventListener('click', () => this.setPaused(!this.userPaused));
+    }
+
+    // Escape pauses while reading with the keyboard
+    this.element.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.userPaused) this.setPaused(true);
+    });
+
+    if (this.reducedMotion && typeof this.reducedMotion.addEventListener === 'function') {
+      this.reducedMotion.addEventListener('change', () => this.updateMotion());
+    }
+
+    window.addEventListener('languageChanged', (e) => {
+      if (e.detail && e.detail.dir) this.element.setAttribute('dir', e.detail.dir);
+      this.announced.clear();
+      this.render();
+    });
+
+    if (window.i18n && window.i18n.getCurrentLang()) this.render();
+
+    // Statistic items show once the dataset is loaded
+    if (typeof window.loadStatistics === 'function') {
+      window.loadStatistics()
+        .then(() => this.render())
+        .catch(error => console.error('Failed to load statistics:', error));
+    }
+  }
+
+  /**
+   * Locale items as objects (plain strings are info items)
+   */
+  getItems() {
+    const items = window.i18n ? window.i18n.get('ticker.items') : null;
+    if (!Array.isArray(items)) return [];
+
+    return items
+      .map(item => (typeof item === 'string' ? { text: item } : item))
+      .map(item => (item && item.stat ? this.withStatistic(item) : item))
+      .filter(item => item && item.text)
+      .map(item => ({
+        ...item,
+        severity: TICKER_SEVERITIES.includes(item.severity) ? item.severity : 'info'
+      }));
+  }
+
+  /**
+   * Item text with the formatted value of its statistic, null while the
+   * dataset isn't loaded or the statistic doesn't exist
+   */
+  withStatistic(item) {
+    const statistic = typeof window.getStatistic === 'function' ? window.getStatistic(item.stat) : null;
+    if (!statistic || !item.text) return null;
+
+    return {
+      ...item,
+      text: window.i18n.formatMessage(item.text, { value: window.formatStatistic(statistic, statistic.value) }),
+      route: item.route || (item.link ? undefined : `/stat/${item.stat}`)
+    };
+  }
+
+  /**
+   * Whether an item's schedule includes the given time
+   */
+  isActive(item, now = Date.now()) {
+    const start = item.start ? Date.parse(item.start) : -Infinity;
+    const end = item.end ? Date.parse(item.end) : Infinity;
+    return now >= start && now < end;
+  }
+
+  /**
+   * Render the items scheduled right now
+   */
+  render() {
+    if (!this.track) return;
+
+    const now = Date.now();
+    this.items = this.getItems().filter(item => this.isActive(item, now));
+
+    this.track.textContent = '';
+    this.element.hidden = this.items.length === 0;
+    if (this.items.length === 0) {
+      this.scheduleNext(now);
+      return;
+    }
+
+    // The copy makes the loop seamless; only the first list is read out
+    const list = this.createList();
+    const copy = this.createList();
+    copy.setAttribute('aria-hidden', 'true');
+    copy.querySelectorAll('a').forEach(link => link.setAttribute('tabindex', '-1'));
+    this.track.append(list, copy);
+
+    this.updateLabels();
+    this.updateMotion();
+    this.announce();
+    this.scheduleNext(now);
+  }
+
+  /**
+   * One <ul> of the current items
+   */
+  createList() {
+    const list = document.createElement('ul');
+    list.className = 'ticker-list';
+
+    this.items.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = `ticker-item ticker-item-${item.severity}`;
+
+      const icon = document.createElement('i');
+      icon.className = `fas ${TICKER_ICONS[item.severity]}`;
+      icon.setAttribute('aria-hidden', 'true');
+
+      // Unsafe links (javascript:, data:...) leave the item as plain text
+      const href = item.route ? `#${item.route}` : (item.link ? Sanitizer.safeHref(item.link) : null);
+
+      let text = document.createElement('span');
+      if (href !== null) {
+        text = document.createElement('a');
+        text.className = 'ticker-link';
+        text.href = href;
+        if (!item.route) {
+          text.target = '_blank';
+          text.rel = 'noopener';
+        }
+      }
+      text.textContent = item.text;
+
+      entry.append(icon, text);
+      list.appendChild(entry);
+    });
+
+    return list;
+  }
+
+  /**
+   * Re-render when the next item starts or the next one ends
+   */
+  scheduleNext(now) {
+    clearTimeout(this.scheduleTimer);
+
+    const next = this.getItems()
+      .reduce((times, item) => times.concat([item.start, item.end]), [])
+      .filter(Boolean)
+      .map(date => Date.parse(date))
+      .filter(time => time > now)
+      .sort((a, b) => a - b)[0];
+
+    if (next !== undefined) {
+      this.scheduleTimer = setTimeout(() => this.render(), Math.min(next - now + 1000, TICKER_MAX_TIMEOUT));
+    }
+  }
+
+  /**
+   * Pause or resume the scrolling
+   */
+  setPaused(paused) {
+    this.userPaused = paused;
+    this.updateMotion();
+    this.updateLabels();
+  }
+
+  /**
+   * Apply the paused / reduced motion state and the scroll duration
+   */
+  updateMotion() {
+    const reduced = !!(this.reducedMotion && this.reducedMotion.matches);
+
+    this.element.classList.toggle('is-static', reduced);
+    this.element.classList.toggle('is-paused', this.userPaused);
+    if (this.toggle) this.toggle.hidden = reduced;
+
+    // Same reading speed whatever the amount of text
+    const width = this.track.scrollWidth / 2;
+    if (width > 0) {
+      this.track.style.setProperty('--ticker-duration', `${Math.round(width / this.options.speed)}s`);
+    }
+  }
+
+  /**
+   * Translated labels of the region and the pause button
+   */
+  updateLabels() {
+    const t = key => (window.i18n ? window.i18n.t(key) : key);
+
+    this.element.setAttribute('aria-label', t('ticker.label'));
+
+    if (this.toggle) {
+      const label = t(this.userPaused ? 'ticker.resume' : 'ticker.pause');
+      this.toggle.setAttribute('aria-label', label);
+      this.toggle.title = label;
+
+      const icon = this.toggle.querySelector('i');
+      if (icon) icon.className = `fas ${this.userPaused ? 'fa-play' : 'fa-pause'}`;
+    }
+  }
+
+  /**
+   * Read new items once through the live region
+   */
+  announce() {
+    const mode = this.options.liveRegion;
+    if (!this.live || mode === 'off') return;
+
+    const fresh = this.items
+      .filter(item => mode === 'all' || item.severity === 'alert')
+      .filter(item => !this.announced.has(item.text));
+
+    fresh.forEach(item => this.announced.add(item.text));
+    if (fresh.length > 0) {
+      this.live.textContent = fresh.map(item => item.text).join('. ');
+    }
+  }
+}
+
+// Create global instance
+const ticker = new Ticker();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => ticker.init());
+} else {
+  ticker.init();
+}
+
+// Export for use in other modules
+window.Ticker = Ticker;
+window.ticker = ticker;
@@ -62,7 +62,7 @@ const Utils = {
         current = end;
         clearInterval(timer);
       }
-      element.textContent = Math.round(current).toLocaleString();
+      element.textContent = window.formatter ? formatter.number(Math.round(current)) : String(Math.round(current));
     }, 16);
   },
 
@@ -100,32 +100,32 @@ const Utils = {
   },
 
   /**
-   * Format date based on locale
+   * Lazy load images (data-src, plus data-srcset / data-sizes for
+   * responsive images) under root, or the whole document
    */
-  formatDate(date, locale = 'en') {
-    return new Intl.DateTimeFormat(locale, {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    }).format(new Date(date));
-  },
+  lazyLoadImages(root = document) {
+    const images = root.querySelectorAll('img[data-src]');
+
+    const load = (img) => {
+      if (img.dataset.sizes) img.sizes = img.dataset.sizes;
+      if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+      img.src = img.dataset.src;
+      ['data-src', 'data-srcset', 'data-sizes'].forEach(attr => img.removeAttribute(attr));
+    };
 
-  /**
-   * Lazy load images
-   */
-  lazyLoadImages() {
-    const images = document.querySelectorAll('img[data-src]');
+    if (!('IntersectionObserver' in window)) {
+      images.forEach(load);
+      return;
+    }
 
     const imageObserver = new IntersectionObserver((entries, observer) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
-          const img = entry.target;
-          img.src = img.dataset.src;
-          img.removeAttribute('data-src');
-          observer.unobserve(img);
+          load(entry.target);
+          observer.unobserve(entry.target);
         }
       });
-    });
+    }, { rootMargin: '200px' });
 
     images.forEach(img => imageObserver.observe(img));
   },
@@ -151,6 +151,17 @@ const Utils = {
     return ('ontouchstart' in window) || (navigator.maxTouchPoints > 0);
   },
 
+  /**
+   * Resolve a site-root relative path ('./locales/...') for the current page.
+   * Prerendered pages (/<lang>/index.html) declare the way back to the root
+   * in <meta name="site-root">, see scripts/prerender.js.
+   */
+  resolvePath(path) {
+    const meta = document.querySelector('meta[name="site-root"]');
+    if (!meta || typeof path !== 'string' || !path.startsWith('./')) return path;
+    return meta.content + path.slice(2);
+  },
+
   /**
    * Get query parameter from URL
    */
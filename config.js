@@ -11,7 +11,10 @@ const CONFIG = {
     name: 'CiviStories',
     version: '2.0.0',
     description: 'Digital Awareness Platform',
-    author: 'CiviStories Team'
+    author: 'CiviStories Team',
+    // Development mode: reports HTML removed by assets/js/sanitizer.js
+    // (always on for localhost and file://)
+    debug: false
   },
 
   // i18n Settings
@@ -24,7 +27,34 @@ const CONFIG = {
     ],
     detectBrowserLanguage: true,
     persistLanguage: true,
-    storageKey: 'preferred_language'
+    storageKey: 'preferred_language',
+    manifestPath: './locales/manifest.json',
+    cacheName: 'civistories-locales',
+    prefetchLanguages: true,
+    // Digits used by Intl number formatting where CLDR defaults to Latin
+    numberingSystems: {
+      ar: 'arab',
+      fa: 'arabext',
+      ur: 'arabext'
+    },
+    // Calendar of displayed dates (assets/js/formatter.js): gregorian, hijri or coptic
+    calendar: 'gregorian',
+    // Locale bundles built by scripts/build-locales.js: the default namespace
+    // loads at startup, the others on demand via i18n.loadNamespace()
+    defaultNamespace: 'core',
+    namespaces: {
+      core: [],
+      programs: ['programs.data'],
+      references: ['references.modals']
+    }
+  },
+
+  // Data files rendered by content.js
+  data: {
+    statistics: './data/statistics.json',
+    gallery: './data/gallery.json',
+    // Page sections and navbar links (assets/js/sections.js)
+    layout: './data/layout.json'
   },
 
   // API Settings (if needed)
@@ -36,6 +66,17 @@ const CONFIG = {
     }
   },
 
+  // Analytics (assets/js/analytics.js), used when features.enableAnalytics is on.
+  // Events are posted to api.baseURL + endpoint; 'console' and 'storage' sinks
+  // are meant for development. Do-Not-Track is always honored.
+  analytics: {
+    endpoint: 'events',
+    sinks: ['beacon'],
+    requireConsent: true,
+    batchSize: 10,
+    flushInterval: 15000
+  },
+
   // Social Media Links
   social: {
     youtube: 'https://youtube.com',
@@ -51,7 +92,28 @@ const CONFIG = {
     enableAnalytics: false,
     enableChat: false,
     enableNotifications: false,
-    enableDarkMode: false
+    enableDarkMode: true
+  },
+
+  // Themes (assets/js/theme.js): 'auto' follows the system preference,
+  // enableDarkMode: false keeps the light theme and hides the toggle
+  theme: {
+    defaultTheme: 'auto',
+    themes: ['light', 'dark', 'high-contrast'],
+    storageKey: 'preferred_theme'
+  },
+
+  // News ticker (assets/js/ticker.js): speed in pixels per second;
+  // liveRegion announces 'alerts', 'all' items or 'off'
+  ticker: {
+    speed: 60,
+    liveRegion: 'alerts'
+  },
+
+  // Read aloud player (assets/js/speech.js): speeds offered to the listener
+  readAloud: {
+    rates: [0.75, 1, 1.25, 1.5],
+    storageKey: 'read_aloud_rate'
   },
 
   // UI Settings
@@ -69,17 +131,28 @@ const CONFIG = {
   // Performance Settings
   performance: {
     lazyLoadImages: true,
+    // Persist locale files in the Cache API; also required by the service worker
     cacheAssets: true,
+    // Offline support through sw.js (app shell, chosen locale, gallery)
     enableServiceWorker: false
   },
 
   // SEO Settings
   seo: {
+    // Public URL of the site root, used by scripts/prerender.js
+    siteUrl: '',
     siteName: 'CiviStories',
     defaultTitle: 'CiviStories | Digital Awareness Platform',
     defaultDescription: 'Leading platform for digital awareness and online safety education',
     keywords: 'digital awareness, online safety, cybersecurity, privacy',
-    ogImage: './assets/images/og-image.jpg'
+    // Preview image of shared links (Open Graph / Twitter)
+    ogImage: './assets/images/book-cover.jpg',
+    // Book in the JSON-LD block of assets/js/seo.js (title: seo.book in the locale)
+    book: {
+      name: 'CiviStories',
+      image: './assets/images/book-cover.jpg',
+      url: 'https://heyzine.com/flip-book/48ab3792ec.html'
+    }
   }
 };
 
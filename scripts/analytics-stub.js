@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Analytics Stub Server
+ * ==========================================
+ * Serves the site and accepts the analytics beacons on the same origin, so
+ * the event bus (assets/js/analytics.js) can be tested without a backend.
+ * Received batches are printed and can be appended to a JSON lines file.
+ *
+ * Usage:
+ *   node scripts/analytics-stub.js [--port 8080] [--endpoint /events] [--out events.jsonl]
+ *
+ * Turn on CONFIG.features.enableAnalytics (CONFIG.api.baseURL left empty),
+ * open the printed URL and accept the consent prompt.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// navigator.sendBeacon refuses bodies over 64 KiB, so nothing legit is bigger
+const MAX_BODY_BYTES = 64 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { port: 8080, endpoint: '/events', out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (arg === '--endpoint') {
+      options.endpoint = argv[++i];
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port expects a port number');
+  }
+  if (!options.endpoint || !options.endpoint.startsWith('/')) {
+    throw new Error('--endpoint expects a path starting with /');
+  }
+  return options;
+}
+
+/**
+ * Validate a beacon body: { events: [{ type, data, lang, time }] }
+ */
+function parseBatch(body) {
+  const batch = JSON.parse(body);
+  if (!batch || !Array.isArray(batch.events)) {
+    throw new Error('Expected { events: [...] }');
+  }
+
+  batch.events.forEach((event, index) => {
+    if (!event || typeof event.type !== 'string' || typeof event.data !== 'object') {
+      throw new Error(`Event ${index} needs a type and a data object`);
+    }
+  });
+  return batch.events;
+}
+
+/**
+ * Decoded path of a request, or null when the URL is malformed
+ */
+function requestPath(req) {
+  try {
+    return decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Serve a file of the site, 404 if missing, 400 for a malformed path
+ */
+function serveStatic(req, res) {
+  const pathname = requestPath(req);
+  if (pathname === null) {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+
+  let file = path.normalize(path.join(ROOT, pathname));
+
+  if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      res.writeHead(404).end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+/**
+ * Build the stub server
+ */
+function createServer(options, onEvents) {
+  return http.createServer((req, res) => {
+    if (requestPath(req) !== options.endpoint) {
+      serveStatic(req, res);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on('end', () => {
+      try {
+        onEvents(parseBatch(body));
+        res.writeHead(204).end();
+      } catch (error) {
+        console.error(`❌ Rejected batch: ${error.message}`);
+        res.writeHead(400).end(error.message);
+      }
+    });
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const server = createServer(options, (events) => {
+    events.forEach(event => {
+      console.log(`📊 ${event.time || ''} ${event.type} ${JSON.stringify(event.data)} [${event.lang || '-'}]`);
+    });
+    if (options.out) {
+      fs.appendFileSync(options.out, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+    }
+  });
+
+  // Local only: it is a test server that writes whatever it receives to --out
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`✅ Site on http://127.0.0.1:${options.port}/ - beacons on ${options.endpoint}`);
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { parseArgs, parseBatch, createServer, requestPath, serveStatic };
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Locale Bundle & Manifest Builder
+ * ==========================================
+ * Splits each locales/<lang>.json into namespace bundles
+ * (locales/<lang>/<namespace>.json, see CONFIG.i18n.namespaces) and writes
+ * locales/manifest.json with a content hash per file. I18n uses the hash as
+ * the cache key, so a bundle is only downloaded again after it changes.
+ *
+ * locales/<lang>.json stays the file translators edit; bundles are generated.
+ *
+ * Usage:
+ *   node scripts/build-locales.js          write bundles and manifest
+ *   node scripts/build-locales.js --check  exit 1 if any of them is out of date
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config.js');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const MANIFEST_PATH = path.join(LOCALES_DIR, 'manifest.json');
+
+// Files in locales/ that are not translations
+const NON_LOCALE_FILES = ['languages.json', 'manifest.json'];
+
+/**
+ * Hash content (first 16 hex chars of SHA-256)
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Remove the value at a dot path from an object and return it
+ */
+function takePath(source, keyPath) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  let parent = source;
+
+  for (const key of keys) {
+    if (!parent || typeof parent !== 'object' || !(key in parent)) return undefined;
+    parent = parent[key];
+  }
+
+  if (!parent || typeof parent !== 'object' || !(last in parent)) return undefined;
+  const value = parent[last];
+  delete parent[last];
+  return value;
+}
+
+/**
+ * Set a value at a dot path, creating intermediate objects
+ */
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  let node = target;
+
+  keys.forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+
+  node[last] = value;
+}
+
+/**
+ * Split a locale into { namespace: partialTranslations }
+ */
+function splitLocale(translations, namespaces, defaultNamespace) {
+  const rest = JSON.parse(JSON.stringify(translations));
+  const bundles = {};
+
+  Object.keys(namespaces).forEach(namespace => {
+    if (namespace === defaultNamespace) return;
+
+    bundles[namespace] = {};
+    namespaces[namespace].forEach(keyPath => {
+      const value = takePath(rest, keyPath);
+      if (value !== undefined) setPath(bundles[namespace], keyPath, value);
+    });
+  });
+
+  // Everything not claimed by another namespace lives in the default one
+  bundles[defaultNamespace] = rest;
+  return bundles;
+}
+
+/**
+ * Build bundle files and the manifest in memory: { files: { path: content }, manifest }.
+ * overrides replaces locale files not written yet: { lang: content }
+ */
+function build(overrides = {}) {
+  const { namespaces, defaultNamespace } = CONFIG.i18n;
+  const files = {};
+  const locales = {};
+
+  const names = fs.readdirSync(LOCALES_DIR)
+    .filter(name => name.endsWith('.json') && !NON_LOCALE_FILES.includes(name));
+
+  Array.from(new Set(names.concat(Object.keys(overrides).map(lang => `${lang}.json`))))
+    .sort()
+    .forEach(name => {
+      const lang = name.replace(/\.json$/, '');
+      const source = overrides[lang] !== undefined
+        ? Buffer.from(overrides[lang])
+        : fs.readFileSync(path.join(LOCALES_DIR, name));
+      const bundles = splitLocale(JSON.parse(source), namespaces, defaultNamespace);
+
+      locales[lang] = { hash: hashContent(source), size: source.length, namespaces: {} };
+
+      Object.keys(bundles).sort().forEach(namespace => {
+        const content = JSON.stringify(bundles[namespace]) + '\n';
+        files[path.join(LOCALES_DIR, lang, `${namespace}.json`)] = content;
+        locales[lang].namespaces[namespace] = {
+          hash: hashContent(content),
+          size: Buffer.byteLength(content)
+        };
+      });
+    });
+
+  const manifest = { version: 2, defaultNamespace, locales };
+  files[MANIFEST_PATH] = JSON.stringify(manifest, null, 2) + '\n';
+
+  return { files, manifest };
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const { files, manifest } = build();
+
+  if (check) {
+    const stale = Object.keys(files).filter(file =>
+      !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== files[file]
+    );
+
+    if (stale.length) {
+      stale.forEach(file => console.error(`❌ out of date: ${path.relative(process.cwd(), file)}`));
+      console.error('Run: node scripts/build-locales.js');
+      return 1;
+    }
+
+    console.log('✅ Locale bundles and manifest are up to date');
+    return 0;
+  }
+
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, files[file]);
+  });
+
+  console.log(`✅ Wrote ${Object.keys(manifest.locales).length} locale(s), ` +
+    `${Object.keys(files).length - 1} bundle(s) and locales/manifest.json`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { build, splitLocale };
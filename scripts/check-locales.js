@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Locale Integrity Checker
+ * ==========================================
+ * Validates every locales/*.json file against the ar.json key schema
+ *
+ * Usage:
+ *   node scripts/check-locales.js [--json] [--out report.json] [--strict] [lang ...]
+ *
+ * Exit codes:
+ *   0 - no errors (warnings allowed unless --strict)
+ *   1 - one or more locale errors
+ *   2 - the checker itself could not run (bad arguments, unreadable reference)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const REFERENCE_LANG = 'ar';
+const MANIFEST_FILE = 'languages.json';
+
+// Files in locales/ that are not translations
+const NON_LOCALE_FILES = [MANIFEST_FILE, 'manifest.json'];
+
+// Arrays whose items are paired one-to-one inside the same object
+const PAIRED_ARRAYS = [['questions', 'answers']];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { json: false, strict: false, out: null, langs: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+      if (!options.out) throw new Error('--out requires a file path');
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.langs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Convert a string offset into a 1-based line/column pair
+ */
+function toLineColumn(source, offset) {
+  const before = source.slice(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].replace(/\r$/, '').length + 1 };
+}
+
+/**
+ * Find raw control characters inside string literals.
+ * JSON.parse stops at the first one, translators need to see all of them.
+ */
+function findControlCharacters(source) {
+  const issues = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+
+    if (!inString) {
+      if (ch === '"') inString = true;
+      continue;
+    }
+
+    if (escaped) {
+      escaped = false;
+    } else if (ch === '\\') {
+      escaped = true;
+    } else if (ch === '"') {
+      inString = false;
+    } else if (ch < ' ') {
+      // Report a CRLF pair once
+      if (ch === '\n' && source[i - 1] === '\r') continue;
+      const code = ch.charCodeAt(0).toString(16).padStart(4, '0');
+      issues.push(Object.assign(
+        { message: `Raw control character U+${code} inside string` },
+        toLineColumn(source, i)
+      ));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Read and strictly parse a JSON file, reporting errors with line/column
+ */
+function readJson(file) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return { data: null, errors: [{ message: `Cannot read file: ${error.message}` }] };
+  }
+
+  // Strip a UTF-8 BOM, browsers tolerate it but JSON.parse does not
+  if (source.charCodeAt(0) === 0xfeff) source = source.slice(1);
+
+  const errors = findControlCharacters(source);
+
+  try {
+    const data = JSON.parse(source);
+    return { data: errors.length ? null : data, errors };
+  } catch (error) {
+    // Control characters were already reported individually, look past them
+    // (a same-length placeholder keeps offsets intact) for the next syntax error
+    if (errors.length) {
+      try {
+        JSON.parse(source.replace(/[\u0000-\u001f]/g, ' '));
+      } catch (next) {
+        errors.push(syntaxError(source, next));
+      }
+      return { data: null, errors };
+    }
+
+    return { data: null, errors: [syntaxError(source, error)] };
+  }
+}
+
+/**
+ * Turn a JSON.parse error into a { message, line, column } entry
+ */
+function syntaxError(source, error) {
+  const match = /position (\d+)/.exec(error.message);
+  const location = match ? toLineColumn(source, Number(match[1])) : {};
+  const message = error.message.replace(/ in JSON at position \d+.*$/, '');
+  return Object.assign({ message }, location);
+}
+
+/**
+ * Describe a JSON value type for schema comparison
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Walk the reference tree and compare it against a locale tree
+ */
+function diffTree(reference, target, prefix, result) {
+  Object.keys(reference).forEach(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const refValue = reference[key];
+    const refType = typeOf(refValue);
+
+    if (!(key in target)) {
+      result.missing.push(keyPath);
+      return;
+    }
+
+    const value = target[key];
+    const type = typeOf(value);
+
+    if (type !== refType) {
+      result.typeMismatch.push({ key: keyPath, expected: refType, actual: type });
+      return;
+    }
+
+    if (type === 'array') {
+      if (value.length !== refValue.length) {
+        result.lengthMismatch.push({ key: keyPath, expected: refValue.length, actual: value.length });
+      }
+      value.forEach((item, index) => {
+        const itemRef = refValue[Math.min(index, refValue.length - 1)];
+        if (itemRef !== undefined && typeOf(item) !== typeOf(itemRef)) {
+          result.typeMismatch.push({
+            key: `${keyPath}.${index}`,
+            expected: typeOf(itemRef),
+            actual: typeOf(item)
+          });
+        }
+      });
+    } else if (type === 'object') {
+      diffTree(refValue, value, keyPath, result);
+    }
+  });
+
+  Object.keys(target).forEach(key => {
+    if (!(key in reference)) {
+      result.extra.push(prefix ? `${prefix}.${key}` : key);
+    }
+  });
+}
+
+/**
+ * Check that paired arrays (questions/answers) have equal lengths
+ */
+function checkPairs(node, prefix, result) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+  PAIRED_ARRAYS.forEach(([left, right]) => {
+    if (Array.isArray(node[left]) && Array.isArray(node[right]) &&
+        node[left].length !== node[right].length) {
+      result.pairMismatch.push({
+        key: prefix,
+        [left]: node[left].length,
+        [right]: node[right].length
+      });
+    }
+  });
+
+  Object.keys(node).forEach(key => {
+    checkPairs(node[key], prefix ? `${prefix}.${key}` : key, result);
+  });
+}
+
+/**
+ * Check a single locale file
+ */
+function checkLocale(lang, reference, languageInfo) {
+  const file = path.join(LOCALES_DIR, `${lang}.json`);
+  const { data, errors } = readJson(file);
+
+  const result = {
+    lang,
+    file: path.relative(process.cwd(), file),
+    parseErrors: errors,
+    missing: [],
+    extra: [],
+    typeMismatch: [],
+    lengthMismatch: [],
+    pairMismatch: [],
+    metaErrors: []
+  };
+
+  if (!data) return result;
+
+  if (reference && lang !== REFERENCE_LANG) {
+    diffTree(reference, data, '', result);
+  }
+
+  checkPairs(data, '', result);
+
+  // meta.lang / meta.dir drive <html lang dir> in I18n.applyLanguage()
+  const meta = data.meta || {};
+  if (meta.lang !== lang) {
+    result.metaErrors.push(`meta.lang is "${meta.lang}", expected "${lang}"`);
+  }
+  if (languageInfo && meta.dir !== languageInfo.dir) {
+    result.metaErrors.push(`meta.dir is "${meta.dir}", languages.json says "${languageInfo.dir}"`);
+  }
+
+  return result;
+}
+
+/**
+ * Count errors in a locale result
+ */
+function countErrors(result) {
+  return result.parseErrors.length + result.missing.length + result.typeMismatch.length +
+    result.lengthMismatch.length + result.pairMismatch.length + result.metaErrors.length;
+}
+
+/**
+ * Print a human readable report
+ */
+function printReport(report) {
+  report.locales.forEach(result => {
+    const errors = countErrors(result);
+    const status = errors ? '❌' : (result.extra.length ? '⚠️ ' : '✅');
+    console.log(`${status} ${result.lang} (${result.file})`);
+
+    result.parseErrors.forEach(e => {
+      const where = e.line ? `${e.line}:${e.column} ` : '';
+      console.log(`   parse  ${where}${e.message}`);
+    });
+    result.metaErrors.forEach(m => console.log(`   meta   ${m}`));
+    result.missing.forEach(k => console.log(`   miss   ${k}`));
+    result.typeMismatch.forEach(m => console.log(`   type   ${m.key}: expected ${m.expected}, got ${m.actual}`));
+    result.lengthMismatch.forEach(m => console.log(`   length ${m.key}: expected ${m.expected} items, got ${m.actual}`));
+    result.pairMismatch.forEach(m => {
+      const counts = Object.keys(m).filter(k => k !== 'key').map(k => `${k}=${m[k]}`).join(', ');
+      console.log(`   pair   ${m.key}: ${counts}`);
+    });
+    result.extra.forEach(k => console.log(`   extra  ${k}`));
+  });
+
+  if (report.missingLocaleFiles.length) {
+    console.log(`\n⚠️  ${report.missingLocaleFiles.length} languages in ${MANIFEST_FILE} have no locale file ` +
+      `(I18n falls back to "${REFERENCE_LANG}"):`);
+    console.log(`   ${report.missingLocaleFiles.join(', ')}`);
+  }
+
+  if (report.unlistedLocaleFiles.length) {
+    console.log(`\n⚠️  Locale files not listed in ${MANIFEST_FILE}: ${report.unlistedLocaleFiles.join(', ')}`);
+  }
+
+  console.log(`\n${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`);
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log('Usage: node scripts/check-locales.js [--json] [--out report.json] [--strict] [lang ...]');
+    return 0;
+  }
+
+  const manifest = readJson(path.join(LOCALES_DIR, MANIFEST_FILE));
+  const languages = manifest.data && Array.isArray(manifest.data.languages) ? manifest.data.languages : [];
+
+  const localeFiles = fs.readdirSync(LOCALES_DIR)
+    .filter(name => name.endsWith('.json') && !NON_LOCALE_FILES.includes(name))
+    .map(name => name.replace(/\.json$/, ''))
+    .sort();
+
+  const reference = checkLocale(REFERENCE_LANG, null, languages.find(l => l.code === REFERENCE_LANG));
+  const referenceData = reference.parseErrors.length
+    ? null
+    : readJson(path.join(LOCALES_DIR, `${REFERENCE_LANG}.json`)).data;
+
+  const targets = (options.langs.length ? options.langs : localeFiles)
+    .filter(lang => lang !== REFERENCE_LANG);
+
+  const locales = [reference].concat(targets.map(lang =>
+    checkLocale(lang, referenceData, languages.find(l => l.code === lang))
+  ));
+
+  const report = {
+    reference: REFERENCE_LANG,
+    manifestErrors: manifest.errors,
+    locales,
+    missingLocaleFiles: languages.map(l => l.code).filter(code => !localeFiles.includes(code)),
+    unlistedLocaleFiles: localeFiles.filter(code => !languages.some(l => l.code === code)),
+    summary: {}
+  };
+
+  const errors = locales.reduce((sum, r) => sum + countErrors(r), 0) + manifest.errors.length;
+  const warnings = locales.reduce((sum, r) => sum + r.extra.length, 0) +
+    report.missingLocaleFiles.length + report.unlistedLocaleFiles.length;
+  report.summary = { errors, warnings, ok: errors === 0 && (!options.strict || warnings === 0) };
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2) + '\n');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    manifest.errors.forEach(e => console.log(`❌ ${MANIFEST_FILE} ${e.line || ''}:${e.column || ''} ${e.message}`));
+    printReport(report);
+  }
+
+  // Without a parseable reference nothing could be diffed
+  if (!referenceData) return 2;
+  return report.summary.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { readJson, diffTree, checkPairs, checkLocale };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Search Stemming Checker
+ * ==========================================
+ * Runs the SearchIndex of assets/js/search.js on word pairs that must share
+ * a stem (singular and plural, Arabic with and without the article), and
+ * checks that a query finds a document containing the other form.
+ *
+ * Usage:
+ *   node scripts/check-search.js
+ *
+ * Exit codes:
+ *   0 - every pair matches
+ *   1 - one or more pairs stem apart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SEARCH_PATH = path.join(__dirname, '..', 'assets', 'js', 'search.js');
+
+// [lang, query, word in the document]
+const PAIRS = [
+  ['en', 'phone', 'phones'],
+  ['en', 'phones', 'phone'],
+  ['en', 'box', 'boxes'],
+  ['en', 'class', 'classes'],
+  ['en', 'wish', 'wishes'],
+  ['en', 'child', 'child'],
+  ['fr', 'téléphone', 'téléphones'],
+  ['de', 'Familie', 'Familien'],
+  ['ar', 'الهاتف', 'هاتف'],
+  ['ar', 'أسرة', 'الاسره']
+];
+
+/**
+ * Load the SearchIndex class in a sandbox
+ */
+function loadSearchIndex() {
+  const context = {
+    Utils: { debounce: fn => fn },
+    document: { readyState: 'loading', addEventListener() {} }
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SEARCH_PATH, 'utf8'), context, { filename: SEARCH_PATH });
+  return context.SearchIndex;
+}
+
+/**
+ * Problems found for the pairs: [message]
+ */
+function checkPairs(SearchIndex, pairs = PAIRS) {
+  return pairs.reduce((problems, [lang, query, word]) => {
+    const index = new SearchIndex(lang);
+    index.add({ title: '', text: `… ${word} …` });
+
+    if (!index.search(query).length) {
+      const stems = [query, word].map(w => index.stem(index.normalize(w)));
+      problems.push(`${lang}: "${query}" doesn't find "${word}" (stems ${stems.join(' / ')})`);
+    }
+    return problems;
+  }, []);
+}
+
+function main() {
+  const problems = checkPairs(loadSearchIndex());
+
+  problems.forEach(problem => console.error(`❌ ${problem}`));
+  if (problems.length) return 1;
+
+  console.log(`✅ ${PAIRS.length} search pairs match`);
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { loadSearchIndex, checkPairs };
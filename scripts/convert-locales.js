@@ -0,0 +1,670 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Locale XLIFF / PO Converter
+ * ==========================================
+ * Exports locales/<lang>.json as an XLIFF 2.0 or gettext PO file for
+ * translation tools, and imports translated files back into nested JSON.
+ *
+ * One unit (XLIFF) or entry (PO msgctxt) per string of ar.json, its ID being
+ * the dot path of the key (array items included: programs.data.child.questions.3).
+ * ar.json is the source text, the locale the target; notes mark HTML keys
+ * and ICU placeholders. Left out, because the site reads them as values:
+ *   meta          rebuilt from locales/languages.json
+ *   non-strings   quiz weights and answers, copied from ar.json
+ *   FIXED_KEYS    ticker statistics, routes and links, quiz levels, copied from ar.json
+ *
+ * Import rebuilds the locale in the key order of ar.json, so an exported file
+ * imports back to the same locale. Missing, empty and fuzzy translations are
+ * left out (I18n falls back to ar for them); an array is either fully
+ * translated or left out, so questions stay paired with their answers.
+ * Unknown IDs and arrays whose length differs from ar.json reject the file.
+ *
+ * Usage:
+ *   node scripts/convert-locales.js export <lang> [--format xliff|po] [--out file]
+ *   node scripts/convert-locales.js import <file.xlf|file.po> [--lang xx] [--out file]
+ *
+ * Export writes <lang>.xlf / <lang>.po in the current directory by default,
+ * import writes locales/<lang>.json (run node scripts/build-locales.js after).
+ *
+ * Exit codes:
+ *   0 - done
+ *   1 - the file was rejected
+ *   2 - bad arguments or unreadable input
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson } = require('./check-locales.js');
+const { walkHtml } = require('./prerender.js');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const REFERENCE_LANG = 'ar';
+
+const FORMATS = {
+  xliff: { extension: '.xlf', write: writeXliff, read: readXliff },
+  po: { extension: '.po', write: writePo, read: readPo }
+};
+
+// Strings read by the code rather than shown (key names, anywhere in the tree)
+const FIXED_KEYS = ['stat', 'route', 'link', 'severity', 'start', 'end', 'level'];
+
+// Strings that scripts render as HTML, besides the data-i18n-html elements
+// of index.html and the html sections of data/layout.json
+const HTML_KEY_PATTERNS = [
+  /^programs\.data\.[^.]+\.(questions|answers)\.\d+$/,
+  /^references\.modals\.[^.]+\.content$/
+];
+
+const HTML_NOTE = 'HTML: keep the tags. Only b, i, strong, em, br, p, ul, ol, li, h3 and a[href] are shown.';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { command: argv[0], input: argv[1], format: null, lang: null, out: null };
+
+  if (options.command === '--help' || options.command === '-h') return { help: true };
+  if (!['export', 'import'].includes(options.command)) {
+    throw new Error('Expected a command: export <lang> or import <file>');
+  }
+  if (!options.input || options.input.startsWith('-')) {
+    throw new Error(options.command === 'export' ? 'export requires a language code' : 'import requires a file');
+  }
+
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--lang') {
+      options.lang = argv[++i];
+    } else if (arg === '--out') {
+      options.out = argv[++i];
+      if (!options.out) throw new Error('--out requires a file path');
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.command === 'import' && !options.format) {
+    options.format = path.extname(options.input).toLowerCase() === '.po' ? 'po' : 'xliff';
+  }
+  options.format = options.format || 'xliff';
+  if (!FORMATS[options.format]) {
+    throw new Error(`--format expects one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Read a locale file, throwing on parse errors
+ */
+function readLocale(file) {
+  const { data, errors } = readJson(file);
+  if (!data) {
+    const where = errors[0] && errors[0].line ? ` (line ${errors[0].line})` : '';
+    throw new Error(`${path.relative(process.cwd(), file)}: ${errors[0] ? errors[0].message : 'unreadable'}${where}`);
+  }
+  return data;
+}
+
+/**
+ * Language entry of locales/languages.json
+ */
+function findLanguage(lang) {
+  const { languages } = readLocale(path.join(LOCALES_DIR, 'languages.json'));
+  const language = languages.find(item => item.code === lang);
+
+  if (!language) throw new Error(`Unknown language "${lang}" (see locales/languages.json)`);
+  if (lang === REFERENCE_LANG) throw new Error(`${REFERENCE_LANG} is the source language`);
+  return language;
+}
+
+/**
+ * Keys rendered as HTML
+ */
+function collectHtmlKeys() {
+  const keys = new Set();
+
+  walkHtml(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+    onStartTag(tag) {
+      const names = tag.attributes.map(attribute => attribute.name);
+      const key = tag.attributes.find(attribute => attribute.name === 'data-i18n');
+      if (key && names.includes('data-i18n-html')) keys.add(key.value);
+    },
+    onEndTag() {}
+  });
+
+  const layout = readLocale(path.join(ROOT, 'data', 'layout.json'));
+  (layout.sections || [])
+    .filter(section => section.html && section.content)
+    .forEach(section => keys.add(section.content));
+
+  return {
+    has: key => keys.has(key) || HTML_KEY_PATTERNS.some(pattern => pattern.test(key))
+  };
+}
+
+/**
+ * Translatable strings of the source: [{ id, source }]
+ */
+function flattenSource(node, prefix = '') {
+  return Object.keys(node).reduce((all, key) => {
+    const id = prefix ? `${prefix}.${key}` : key;
+    const value = node[key];
+
+    if (id === 'meta' || FIXED_KEYS.includes(key)) return all;
+    if (value && typeof value === 'object') return all.concat(flattenSource(value, id));
+    if (typeof value === 'string') all.push({ id, source: value });
+    return all;
+  }, []);
+}
+
+/**
+ * Value at a dot path, or undefined
+ */
+function lookup(tree, id) {
+  return id.split('.').reduce((node, key) =>
+    (node && typeof node === 'object' && key in node ? node[key] : undefined), tree);
+}
+
+/**
+ * Units to export: [{ id, source, target?, notes }]
+ */
+function buildUnits(source, target) {
+  const html = collectHtmlKeys();
+
+  return flattenSource(source).map(({ id, source: text }) => {
+    const value = lookup(target, id);
+    const notes = [];
+
+    if (html.has(id)) notes.push(HTML_NOTE);
+    const placeholders = text.match(/\{\s*[A-Za-z_]\w*\s*(?=[,}])/g);
+    if (placeholders) {
+      notes.push(`Keep the placeholders: ${placeholders.map(p => `${p.replace(/\s/g, '')}}`).join(' ')}`);
+    }
+
+    return { id, source: text, target: typeof value === 'string' && value !== '' ? value : undefined, notes };
+  });
+}
+
+/**
+ * Keys of target that the source doesn't have (not exported)
+ */
+function findExtra(source, target, prefix = '') {
+  if (!target || typeof target !== 'object') return [];
+
+  return Object.keys(target).reduce((all, key) => {
+    const id = prefix ? `${prefix}.${key}` : key;
+    if (!source || typeof source !== 'object' || !(key in source)) return all.concat(id);
+    return all.concat(findExtra(source[key], target[key], id));
+  }, []);
+}
+
+/**
+ * Escape XML text; control characters other than tab and newlines can't be
+ * written in XML 1.0 (check-locales.js reports them in locale files)
+ */
+function escapeXml(text, id) {
+  const invalid = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/.exec(text);
+  if (invalid) {
+    throw new Error(`${id}: control character U+${invalid[0].charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r/g, '&#13;');
+}
+
+/**
+ * Decode XML text (entities and CDATA sections)
+ */
+function unescapeXml(text) {
+  return text.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map(part => {
+    if (part.startsWith('<![CDATA[')) return part.slice(9, -3);
+
+    return part.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+      }
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[name.toLowerCase()];
+    });
+  }).join('');
+}
+
+/**
+ * Value of an XML attribute in a start tag's attribute text
+ */
+function xmlAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(attributes);
+  return match ? unescapeXml(match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+/**
+ * XLIFF 2.0 document
+ */
+function writeXliff(units, { lang }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${REFERENCE_LANG}" trgLang="${lang}">`,
+    '  <file id="locales">'
+  ];
+
+  units.forEach(unit => {
+    lines.push(`    <unit id="${escapeXml(unit.id, unit.id)}">`);
+    if (unit.notes.length) {
+      lines.push('      <notes>');
+      unit.notes.forEach(note => lines.push(`        <note category="format">${escapeXml(note, unit.id)}</note>`));
+      lines.push('      </notes>');
+    }
+    lines.push(`      <segment state="${unit.target === undefined ? 'initial' : 'translated'}">`);
+    lines.push(`        <source xml:space="preserve">${escapeXml(unit.source, unit.id)}</source>`);
+    if (unit.target !== undefined) {
+      lines.push(`        <target xml:space="preserve">${escapeXml(unit.target, unit.id)}</target>`);
+    }
+    lines.push('      </segment>');
+    lines.push('    </unit>');
+  });
+
+  lines.push('  </file>', '</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Units of an XLIFF 2.0 document: { lang, units: [{ id, source, target? }] }.
+ * A unit split into several segments is joined back; it is translated when
+ * every segment has a target.
+ */
+function readXliff(content) {
+  const root = /<xliff\b([^>]*)>/.exec(content);
+  if (!root || xmlAttribute(root[1], 'version') !== '2.0') {
+    throw new Error('Not an XLIFF 2.0 document');
+  }
+
+  const units = [];
+  const unitPattern = /<unit\b([^>]*)>([\s\S]*?)<\/unit>/g;
+  let unit;
+
+  while ((unit = unitPattern.exec(content))) {
+    const id = xmlAttribute(unit[1], 'id');
+    let source = '';
+    let target = '';
+    let translated = true;
+
+    const partPattern = /<(segment|ignorable)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    let part;
+    while ((part = partPattern.exec(unit[2]))) {
+      const sourceText = /<source\b[^>]*>([\s\S]*?)<\/source>/.exec(part[2]);
+      const targetText = /<target\b[^>]*>([\s\S]*?)<\/target>/.exec(part[2]);
+      const segmentSource = sourceText ? sourceText[1] : '';
+
+      if (targetText && /<(?!!\[CDATA\[)/.test(targetText[1].replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''))) {
+        throw new Error(`${id}: inline XLIFF elements are not supported, the HTML must stay escaped text`);
+      }
+
+      source += unescapeXml(segmentSource);
+      if (targetText) {
+        target += unescapeXml(targetText[1]);
+      } else if (part[1] === 'ignorable') {
+        target += unescapeXml(segmentSource);
+      } else {
+        translated = false;
+      }
+    }
+
+    units.push({ id, source, target: translated && target !== '' ? target : undefined });
+  }
+
+  return { lang: xmlAttribute(root[1], 'trgLang'), units };
+}
+
+/**
+ * A PO string, split after newlines like msgmerge does
+ */
+function formatPoString(keyword, text) {
+  const escape = value => value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+
+  const lines = text.split(/(?<=\n)/);
+  if (lines.length < 2) return `${keyword} "${escape(text)}"`;
+  return [`${keyword} ""`].concat(lines.map(line => `"${escape(line)}"`)).join('\n');
+}
+
+/**
+ * Decode a quoted PO string
+ */
+function parsePoString(quoted, lineNumber) {
+  const match = /^"((?:[^"\\]|\\.)*)"\s*$/.exec(quoted);
+  if (!match) throw new Error(`line ${lineNumber}: expected a quoted string`);
+
+  return match[1].replace(/\\(.)/g, (sequence, ch) => {
+    const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+    if (!(ch in escapes)) throw new Error(`line ${lineNumber}: unsupported escape ${sequence}`);
+    return escapes[ch];
+  });
+}
+
+/**
+ * gettext PO file, keys in msgctxt
+ */
+function writePo(units, { lang }) {
+  const header = [
+    'Project-Id-Version: civiStories',
+    `Language: ${lang}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    `X-Source-Language: ${REFERENCE_LANG}`
+  ];
+
+  const entries = [
+    `# civiStories locale, ${REFERENCE_LANG} -> ${lang}\n` +
+    '# Generated by scripts/convert-locales.js, the msgctxt is the locale key\n' +
+    'msgid ""\n' +
+    formatPoString('msgstr', header.join('\n') + '\n')
+  ];
+
+  units.forEach(unit => {
+    const lines = unit.notes.map(note => `#. ${note}`);
+    lines.push(formatPoString('msgctxt', unit.id));
+    lines.push(formatPoString('msgid', unit.source));
+    lines.push(formatPoString('msgstr', unit.target === undefined ? '' : unit.target));
+    entries.push(lines.join('\n'));
+  });
+
+  return entries.join('\n\n') + '\n';
+}
+
+/**
+ * Entries of a PO file: { lang, units: [{ id, source, target? }] }.
+ * Fuzzy entries count as untranslated, like gettext does.
+ */
+function readPo(content) {
+  const units = [];
+  let lang = null;
+  let entry = null;
+  let field = null;
+
+  const finish = () => {
+    if (!entry) return;
+    if (entry.msgid === undefined || entry.msgstr === undefined) {
+      throw new Error(`line ${entry.line}: entry without msgid or msgstr`);
+    }
+
+    if (entry.msgctxt === undefined && entry.msgid === '') {
+      const language = /^Language:\s*(.+)$/m.exec(entry.msgstr);
+      if (language) lang = language[1].trim();
+    } else if (!entry.obsolete) {
+      units.push({
+        id: entry.msgctxt,
+        source: entry.msgid,
+        target: entry.fuzzy || entry.msgstr === '' ? undefined : entry.msgstr
+      });
+    }
+    entry = null;
+    field = null;
+  };
+
+  content.replace(/^\ufeff/, '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    const lineNumber = index + 1;
+
+    if (!line) {
+      finish();
+      return;
+    }
+
+    if (line.startsWith('#')) {
+      // Comments start a new entry when they follow a msgstr
+      if (entry && entry.msgstr !== undefined) finish();
+      entry = entry || { line: lineNumber };
+      if (line.startsWith('#,') && /\bfuzzy\b/.test(line)) entry.fuzzy = true;
+      if (line.startsWith('#~')) entry.obsolete = true;
+      return;
+    }
+
+    const keyword = /^(msgctxt|msgid|msgstr|msgid_plural|msgstr\[\d+\])\s+(.*)$/.exec(line);
+    if (keyword) {
+      if (keyword[1] === 'msgid_plural' || keyword[1].startsWith('msgstr[')) {
+        throw new Error(`line ${lineNumber}: plural entries are not supported, use ICU plurals in the string`);
+      }
+      if (entry && entry.msgstr !== undefined) finish();
+      entry = entry || { line: lineNumber };
+      field = keyword[1];
+      entry[field] = parsePoString(keyword[2], lineNumber);
+      return;
+    }
+
+    if (line.startsWith('"') && entry && field) {
+      entry[field] += parsePoString(line, lineNumber);
+      return;
+    }
+
+    throw new Error(`line ${lineNumber}: unexpected "${line.slice(0, 40)}"`);
+  });
+  finish();
+
+  const unkeyed = units.find(unit => unit.id === undefined);
+  if (unkeyed) throw new Error(`Entry "${unkeyed.source.slice(0, 40)}" has no msgctxt key`);
+
+  return { lang, units };
+}
+
+/**
+ * Nested locale from imported translations, in the key order of the source.
+ * Throws with every problem found: unknown IDs, partly translated arrays.
+ */
+function buildLocale(source, translations, language) {
+  const errors = [];
+  const used = new Set();
+
+  // { value, translated, data }: translated when a string of the file is in
+  // it, data when it holds no translatable string (copied from the source)
+  const build = (node, id, fixed) => {
+    if (node && typeof node === 'object') {
+      const entries = Object.keys(node).map(key =>
+        ({ key, child: build(node[key], id ? `${id}.${key}` : key, fixed || FIXED_KEYS.includes(key)) }));
+      const translated = entries.filter(({ child }) => child.translated);
+
+      if (entries.every(({ child }) => child.data)) return { value: node, translated: false, data: true };
+
+      if (Array.isArray(node)) {
+        if (translated.length && translated.length !== node.length) {
+          errors.push(`${id}: ${translated.length} of ${node.length} items translated, ` +
+            'arrays must be complete');
+        }
+        return { value: entries.map(({ child }) => child.value), translated: translated.length > 0 };
+      }
+
+      const value = {};
+      entries.forEach(({ key, child }) => {
+        if (child.translated || child.data) value[key] = child.value;
+      });
+      return { value, translated: translated.length > 0 };
+    }
+
+    if (typeof node !== 'string' || fixed) return { value: node, translated: false, data: true };
+
+    if (translations.has(id)) {
+      used.add(id);
+      return { value: translations.get(id), translated: true };
+    }
+    return { value: undefined, translated: false };
+  };
+
+  const locale = {};
+  Object.keys(source).forEach(key => {
+    if (key === 'meta') {
+      // lang, dir, name and flag of languages.json, in the order of ar.json
+      locale.meta = {};
+      Object.keys(source.meta).forEach(name => {
+        locale.meta[name] = name === 'lang' ? language.code : language[name];
+      });
+      return;
+    }
+
+    const child = build(source[key], key, FIXED_KEYS.includes(key));
+    if (child.translated) locale[key] = child.value;
+  });
+
+  translations.forEach((value, id) => {
+    if (used.has(id)) return;
+    const array = findArray(source, id);
+    errors.push(array ? `${id}: ${array.id} has ${array.length} items in ${REFERENCE_LANG}.json` : `${id}: unknown key`);
+  });
+
+  if (errors.length) {
+    const error = new Error(`${errors.length} problem(s) in the imported file`);
+    error.details = errors;
+    throw error;
+  }
+  return locale;
+}
+
+/**
+ * The source array an out of range ID points into: { id, length }, or null
+ */
+function findArray(source, id) {
+  const keys = id.split('.');
+  let node = source;
+
+  for (let i = 0; i < keys.length; i++) {
+    if (Array.isArray(node) && /^\d+$/.test(keys[i]) && Number(keys[i]) >= node.length) {
+      return { id: keys.slice(0, i).join('.'), length: node.length };
+    }
+    if (!node || typeof node !== 'object' || !(keys[i] in node)) return null;
+    node = node[keys[i]];
+  }
+  return null;
+}
+
+/**
+ * Locale file content: 2-space JSON with the line endings of ar.json
+ */
+function formatLocale(locale) {
+  const reference = fs.readFileSync(path.join(LOCALES_DIR, `${REFERENCE_LANG}.json`), 'utf8');
+  const eol = reference.includes('\r\n') ? '\r\n' : '\n';
+  return JSON.stringify(locale, null, 2).replace(/\n/g, eol) + eol;
+}
+
+/**
+ * Export a locale: returns { content, units, extra }
+ */
+function exportLocale(lang, format) {
+  findLanguage(lang);
+  const source = readLocale(path.join(LOCALES_DIR, `${REFERENCE_LANG}.json`));
+  const file = path.join(LOCALES_DIR, `${lang}.json`);
+  const target = fs.existsSync(file) ? readLocale(file) : {};
+
+  const units = buildUnits(source, target);
+  return {
+    content: FORMATS[format].write(units, { lang }),
+    units,
+    extra: findExtra(source, target).filter(id => id !== 'meta' && !id.startsWith('meta.'))
+  };
+}
+
+/**
+ * Import a translated file: returns { lang, locale, content, changed }
+ * where changed lists the IDs whose source text differs from ar.json now
+ */
+function importLocale(content, format, lang) {
+  const parsed = FORMATS[format].read(content);
+  const language = findLanguage(lang || parsed.lang);
+  const source = readLocale(path.join(LOCALES_DIR, `${REFERENCE_LANG}.json`));
+
+  const duplicate = parsed.units.find((unit, index) =>
+    parsed.units.findIndex(other => other.id === unit.id) !== index);
+  if (duplicate) throw new Error(`${duplicate.id}: duplicate key`);
+
+  const translations = new Map();
+  parsed.units.forEach(unit => {
+    if (unit.target !== undefined) translations.set(unit.id, unit.target);
+  });
+
+  const locale = buildLocale(source, translations, language);
+  const changed = parsed.units
+    .filter(unit => unit.target !== undefined && lookup(source, unit.id) !== unit.source)
+    .map(unit => unit.id);
+
+  return { lang: language.code, locale, content: formatLocale(locale), changed };
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log('Usage:\n' +
+      '  node scripts/convert-locales.js export <lang> [--format xliff|po] [--out file]\n' +
+      '  node scripts/convert-locales.js import <file.xlf|file.po> [--lang xx] [--out file]');
+    return 0;
+  }
+
+  if (options.command === 'export') {
+    let result;
+    try {
+      result = exportLocale(options.input, options.format);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 2;
+    }
+
+    const out = options.out || `${options.input}${FORMATS[options.format].extension}`;
+    fs.writeFileSync(out, result.content);
+
+    const translated = result.units.filter(unit => unit.target !== undefined).length;
+    console.log(`✅ Wrote ${out}: ${result.units.length} strings, ${translated} translated`);
+    if (result.extra.length) {
+      console.log(`⚠️  Not exported, ${REFERENCE_LANG}.json doesn't have them: ${result.extra.join(', ')}`);
+    }
+    return 0;
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(options.input, 'utf8');
+  } catch (error) {
+    console.error(`❌ Cannot read ${options.input}: ${error.message}`);
+    return 2;
+  }
+
+  let result;
+  try {
+    result = importLocale(content, options.format, options.lang);
+  } catch (error) {
+    console.error(`❌ ${options.input}: ${error.message}`);
+    (error.details || []).forEach(detail => console.error(`   ${detail}`));
+    return 1;
+  }
+
+  const out = options.out || path.join(LOCALES_DIR, `${result.lang}.json`);
+  fs.writeFileSync(out, result.content);
+
+  console.log(`✅ Wrote ${path.relative(process.cwd(), out)}`);
+  if (result.changed.length) {
+    console.log(`⚠️  ${result.changed.length} source text(s) changed in ${REFERENCE_LANG}.json since the export, ` +
+      `review: ${result.changed.join(', ')}`);
+  }
+  if (!options.out) console.log('Run: node scripts/build-locales.js');
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { parseArgs, exportLocale, importLocale, readXliff, readPo, writeXliff, writePo };
@@ -0,0 +1,699 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Static Per-Language Prerender
+ * ==========================================
+ * Writes <out>/<lang>/index.html for every locales/<lang>.json, translated
+ * with the same data-i18n, data-i18n-html, data-i18n-placeholder,
+ * data-i18n-title and data-i18n-alt rules as I18n.translatePage() (the
+ * runtime I18n class does the lookups, so fallbacks and ICU messages behave
+ * the same). Each page gets its lang/dir, a canonical link, hreflang
+ * alternates and its core locale bundle, which I18n uses instead of fetching
+ * it on the first load. Translated HTML goes through the allowlist of
+ * assets/js/sanitizer.js, with the same unwrapping and dropping rules.
+ *
+ * The sections and navbar links of data/layout.json are rendered by the
+ * SectionRegistry of assets/js/sections.js (run against a minimal DOM) and
+ * translated like the rest of the page; in the browser the registry renders
+ * them again with their event handlers.
+ *
+ * The output directory gets a copy of the site files, an index.html with the
+ * sections, in the default language, and the hreflang alternates (x-default),
+ * and a sitemap.xml listing every page. Run node scripts/build-locales.js first.
+ *
+ * Usage:
+ *   node scripts/prerender.js [--base-url https://example.org/] [--out dist]
+ *
+ * The base URL defaults to CONFIG.seo.siteUrl, the output directory to dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const CONFIG = require('../config.js');
+const { build } = require('./build-locales.js');
+
+const ROOT = path.join(__dirname, '..');
+const INDEX_PATH = path.join(ROOT, 'index.html');
+const I18N_PATH = path.join(ROOT, 'assets', 'js', 'i18n.js');
+const SECTIONS_PATH = path.join(ROOT, 'assets', 'js', 'sections.js');
+const SANITIZER_PATH = path.join(ROOT, 'assets', 'js', 'sanitizer.js');
+
+// Copied as they are next to the pages
+const SITE_FILES = ['config.js', 'sw.js', 'assets', 'data', 'locales'];
+
+// Markers around the generated alternates, so index.html can be updated again
+const HREFLANG_START = '<!-- hreflang:start -->';
+const HREFLANG_END = '<!-- hreflang:end -->';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Attributes holding site-relative URLs, rewritten for pages one level down
+const URL_ATTRIBUTES = ['src', 'href', 'srcset', 'data-src', 'data-srcset', 'poster'];
+
+// <meta> tags (by name or property) filled from locale keys, as assets/js/seo.js does
+const META_KEYS = {
+  description: 'seo.description',
+  'og:title': 'seo.title',
+  'og:description': 'seo.description',
+  'twitter:title': 'seo.title',
+  'twitter:description': 'seo.description'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { baseUrl: (CONFIG.seo && CONFIG.seo.siteUrl) || null, out: path.join(ROOT, 'dist') };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--base-url') {
+      options.baseUrl = argv[++i];
+    } else if (arg === '--out') {
+      options.out = argv[++i] && path.resolve(argv[i]);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.baseUrl) {
+    throw new Error('A base URL is required: --base-url or CONFIG.seo.siteUrl');
+  }
+  if (!options.out) throw new Error('--out requires a directory');
+  if (options.out === ROOT) throw new Error('--out must not be the site root, index.html would be overwritten');
+
+  // Pages are resolved against the base, which must be a directory
+  options.baseUrl = new URL(options.baseUrl).href.replace(/\/?$/, '/');
+  return options;
+}
+
+/**
+ * Escape text content
+ */
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Translated HTML rebuilt like Sanitizer.sanitize() does in the browser:
+ * allowed tags are kept without attributes (a keeps a safe href), dropped
+ * tags go with their content, other tags are unwrapped. source names the
+ * key in warnings.
+ */
+function sanitizeHtml(html, sanitizer, source = 'unknown') {
+  const removed = [];
+  let output = '';
+  let dropping = null;
+
+  String(html).split(/(<!--[\s\S]*?-->|<\/?[a-z][^>]*>)/i).forEach((part, index) => {
+    if (index % 2 === 0) {
+      if (!dropping) output += part.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      return;
+    }
+
+    // Comments are left out
+    const tag = /^<(\/?)([a-z][\w-]*)([^>]*)>$/i.exec(part);
+    if (!tag) return;
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toUpperCase();
+
+    // Inside a dropped tag until it closes
+    if (dropping) {
+      if (name === dropping.name) dropping.depth += closing ? -1 : 1;
+      if (dropping.depth === 0) dropping = null;
+      return;
+    }
+
+    if (sanitizer.droppedTags.includes(name)) {
+      if (!closing) {
+        removed.push(`<${name.toLowerCase()}>`);
+        if (!/\/\s*$/.test(tag[3])) dropping = { name, depth: 1 };
+      }
+      return;
+    }
+
+    if (!sanitizer.allowedTags.includes(name)) {
+      if (!closing) removed.push(`<${name.toLowerCase()}>`);
+      return;
+    }
+
+    const element = name.toLowerCase();
+    if (closing) {
+      if (!VOID_ELEMENTS.has(element)) output += `</${element}>`;
+      return;
+    }
+
+    let attributes = '';
+    parseAttributes(tag[3].replace(/\/\s*$/, '')).forEach(attribute => {
+      const href = element === 'a' && attribute.name === 'href' ? sanitizer.safeHref(attribute.value) : null;
+      if (href !== null) {
+        attributes += ` href="${escapeAttribute(href)}"`;
+        if (/^https?:/i.test(href)) attributes += ' target="_blank" rel="noopener noreferrer"';
+      } else if (!(element === 'a' && (attribute.name === 'rel' || attribute.name === 'target'))) {
+        removed.push(`${element}[${attribute.name}="${attribute.value}"]`);
+      }
+    });
+    output += `<${element}${attributes}>`;
+  });
+
+  if (removed.length) console.warn(`⚠️  Unsafe HTML removed from "${source}": ${removed.join(', ')}`);
+  return output;
+}
+
+/**
+ * Escape an attribute value (double quoted)
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode the entities an attribute value is likely to contain
+ */
+function decodeAttribute(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the attributes of a start tag: [{ name, value, raw }]
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s=/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    const quoted = match[2] || '';
+    const value = /^["']/.test(quoted) ? quoted.slice(1, -1) : quoted;
+    attributes.push({ name: match[1].toLowerCase(), value: decodeAttribute(value), raw: match[0] });
+  }
+  return attributes;
+}
+
+/**
+ * Serialize a start tag; unchanged attributes keep their original text
+ */
+function serializeTag(name, attributes, selfClosing) {
+  const parts = attributes.map(attribute => attribute.raw || `${attribute.name}="${escapeAttribute(attribute.value)}"`);
+  return `<${name}${parts.length ? ' ' + parts.join(' ') : ''}${selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * Minimal HTML walker: calls onStartTag(tag) for each element and
+ * onEndTag(tag, endStart) when it closes. Comments and script/style
+ * contents are skipped.
+ */
+function walkHtml(html, { onStartTag, onEndTag }) {
+  const pattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const stack = [];
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    if (!match[2]) continue;
+
+    const name = match[2].toLowerCase();
+
+    if (match[1]) {
+      const index = stack.map(tag => tag.name).lastIndexOf(name);
+      if (index === -1) continue;
+      // Close unclosed children (e.g. <p> without </p>) with their parent
+      stack.splice(index).reverse().forEach(tag => onEndTag(tag, match.index));
+      continue;
+    }
+
+    const selfClosing = /\/\s*$/.test(match[3]);
+    const tag = {
+      name,
+      attributes: parseAttributes(match[3].replace(/\/\s*$/, '')),
+      selfClosing,
+      start: match.index,
+      end: pattern.lastIndex
+    };
+    onStartTag(tag);
+
+    if (name === 'script' || name === 'style') {
+      const close = html.toLowerCase().indexOf(`</${name}`, pattern.lastIndex);
+      pattern.lastIndex = close === -1 ? html.length : close;
+      continue;
+    }
+
+    if (!selfClosing && !VOID_ELEMENTS.has(name)) stack.push(tag);
+  }
+}
+
+/**
+ * Value of an attribute, or null
+ */
+function getAttribute(tag, name) {
+  const attribute = tag.attributes.find(item => item.name === name);
+  return attribute ? attribute.value : null;
+}
+
+/**
+ * Set an attribute (marks the tag as changed)
+ */
+function setAttribute(tag, name, value) {
+  const attribute = tag.attributes.find(item => item.name === name);
+  if (attribute) {
+    if (attribute.value === value) return;
+    attribute.value = value;
+    attribute.raw = null;
+  } else {
+    tag.attributes.push({ name, value, raw: null });
+  }
+  tag.changed = true;
+}
+
+/**
+ * Apply { start, end, text } edits; edits inside a replaced range are dropped
+ */
+function applyEdits(html, edits) {
+  const sorted = edits.slice().sort((a, b) => a.start - b.start || b.end - a.end);
+  let output = '';
+  let position = 0;
+
+  sorted.forEach(edit => {
+    if (edit.start < position) return;
+    output += html.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  });
+
+  return output + html.slice(position);
+}
+
+/**
+ * Load the runtime Sanitizer (assets/js/sanitizer.js) in a sandbox, for its
+ * tag lists and safeHref()
+ */
+function loadSanitizer() {
+  const context = { console };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SANITIZER_PATH, 'utf8'), context, { filename: SANITIZER_PATH });
+  return context.Sanitizer;
+}
+
+/**
+ * Load the runtime I18n class (assets/js/i18n.js) in a sandbox
+ */
+function loadI18nClass() {
+  const context = {
+    CONFIG,
+    Intl,
+    URL,
+    console: { log() {}, warn() {}, error: console.error },
+    document: { readyState: 'loading', addEventListener() {}, getElementById: () => null },
+    CustomEvent: class {}
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(I18N_PATH, 'utf8'), context, { filename: I18N_PATH });
+  return context.i18n.constructor;
+}
+
+/**
+ * Element of the minimal DOM the section renderers run against: the
+ * properties and methods assets/js/sections.js uses, serialized by toHtml()
+ */
+class SectionElement {
+  constructor(name) {
+    this.name = name;
+    this.attributes = new Map();
+    this.children = [];
+    this.html = '';
+
+    // element.dataset.statsGroup → data-stats-group
+    this.dataset = new Proxy({}, {
+      set: (target, key, value) => {
+        this.setAttribute(`data-${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`, value);
+        return true;
+      }
+    });
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  appendChild(child) {
+    this.children.push(...(child.name === '#fragment' ? child.children : [child]));
+    return child;
+  }
+
+  append(...children) {
+    children.forEach(child => this.appendChild(child));
+  }
+
+  replaceChildren(...children) {
+    this.children = [];
+    this.append(...children);
+  }
+
+  addEventListener() {}
+
+  set innerHTML(html) {
+    this.children = [];
+    this.html = html;
+  }
+
+  toHtml() {
+    const attributes = Array.from(this.attributes)
+      .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+      .join('');
+    const content = this.html + this.children.map(child => child.toHtml()).join('');
+
+    return VOID_ELEMENTS.has(this.name)
+      ? `<${this.name}${attributes}>`
+      : `<${this.name}${attributes}>${content}</${this.name}>`;
+  }
+}
+
+// Properties of the renderers set as attributes
+[['className', 'class'], ['id'], ['tabIndex', 'tabindex'], ['type'], ['href'],
+  ['target'], ['rel'], ['src'], ['alt'], ['title']].forEach(([property, name = property]) => {
+  Object.defineProperty(SectionElement.prototype, property, {
+    set(value) { this.setAttribute(name, value); }
+  });
+});
+
+/**
+ * Markup of the layout sections and navbar links: { sections, nav }
+ */
+function renderSections(layout) {
+  const context = {
+    CONFIG,
+    Utils: { resolvePath: value => value },
+    console: { log() {}, warn: console.warn, error: console.error },
+    document: {
+      readyState: 'loading',
+      addEventListener() {},
+      createElement: name => new SectionElement(name),
+      createDocumentFragment: () => new SectionElement('#fragment')
+    },
+    location: { hash: '' },
+    dispatchEvent() {},
+    CustomEvent: class {}
+  };
+  context.window = context;
+
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(SECTIONS_PATH, 'utf8'), context, { filename: SECTIONS_PATH });
+
+  const registry = new context.sectionRegistry.constructor();
+  registry.container = new SectionElement('div');
+  registry.nav = new SectionElement('div');
+  registry.render(layout);
+
+  const markup = element => element.children.map(child => child.toHtml());
+  return { sections: markup(registry.container), nav: markup(registry.nav) };
+}
+
+/**
+ * Put the rendered sections in #pageSections and the links in .nav-sections
+ */
+function insertSections(html, { sections, nav }) {
+  const edits = [];
+
+  walkHtml(html, {
+    onStartTag() {},
+    onEndTag(tag, endStart) {
+      const classes = (getAttribute(tag, 'class') || '').split(/\s+/);
+      const lines = getAttribute(tag, 'id') === 'pageSections' ? sections
+        : classes.includes('nav-sections') ? nav : null;
+      if (!lines) return;
+
+      const indent = /[ \t]*$/.exec(html.slice(0, tag.start))[0];
+      edits.push({
+        start: tag.end,
+        end: endStart,
+        text: lines.map(line => `\n${indent}  ${line}`).join('') + `\n${indent}`
+      });
+    }
+  });
+
+  return applyEdits(html, edits);
+}
+
+/**
+ * An I18n instance translating into lang, with every locale loaded
+ */
+function createTranslator(I18n, locales, lang) {
+  const translator = new I18n();
+  translator.loadedLocales = locales;
+  translator.defaultLang = CONFIG.i18n.defaultLanguage || translator.defaultLang;
+  translator.currentLang = lang;
+  translator.translations = locales[lang];
+  return translator;
+}
+
+/**
+ * Translation of a key, or null when it is missing or not text
+ */
+function translate(translator, key, tag) {
+  let params;
+  const raw = getAttribute(tag, 'data-i18n-params');
+  if (raw) {
+    try {
+      params = JSON.parse(raw);
+    } catch (error) {
+      console.warn(`⚠️  Invalid data-i18n-params: ${raw}`);
+    }
+  }
+
+  const value = translator.t(key, params);
+  return typeof value === 'string' && value !== key ? value : null;
+}
+
+/**
+ * Rewrite ./ URLs of a tag for a page one directory below the root
+ */
+function rewriteUrls(tag) {
+  URL_ATTRIBUTES.forEach(name => {
+    const value = getAttribute(tag, name);
+    if (value === null || !value.includes('./')) return;
+
+    const rewritten = name.endsWith('srcset')
+      ? value.split(',').map(candidate => candidate.replace(/^(\s*)\.\//, '$1../')).join(',')
+      : value.replace(/^\.\//, '../');
+    setAttribute(tag, name, rewritten);
+  });
+}
+
+/**
+ * Lines of the <link rel="alternate"> block: every language plus x-default
+ */
+function renderAlternates(langs, baseUrl) {
+  const links = langs.map(lang =>
+    `<link rel="alternate" hreflang="${lang}" href="${escapeAttribute(pageUrl(baseUrl, lang))}">`);
+  links.push(`<link rel="alternate" hreflang="x-default" href="${escapeAttribute(baseUrl)}">`);
+
+  return [HREFLANG_START].concat(links, HREFLANG_END);
+}
+
+/**
+ * Remove the hreflang block of a page
+ */
+function removeAlternates(html) {
+  const start = html.indexOf(HREFLANG_START);
+  const end = html.indexOf(HREFLANG_END);
+  if (start === -1 || end < start) return html;
+
+  const lineStart = html.lastIndexOf('\n', start) + 1;
+  const lineEnd = html.indexOf('\n', end);
+  return html.slice(0, lineStart) + html.slice(lineEnd === -1 ? html.length : lineEnd + 1);
+}
+
+/**
+ * Insert lines at the end of <head>
+ */
+function appendToHead(html, lines) {
+  return html.replace(/([ \t]*)<\/head>/i, (closing, indent) =>
+    lines.map(line => `${indent}  ${line}\n`).join('') + closing);
+}
+
+/**
+ * Absolute URL of a language page
+ */
+function pageUrl(baseUrl, lang) {
+  return new URL(`${lang}/`, baseUrl).href;
+}
+
+/**
+ * Translate index.html into one language page
+ */
+function renderPage(source, { translator, lang, langs, baseUrl, bundle, sanitizer }) {
+  const html = translateHtml(removeAlternates(source), { translator, lang, baseUrl, sanitizer, rewrite: true });
+
+  const data = JSON.stringify(bundle).replace(/</g, '\\u003c');
+  const head = [
+    '<meta name="site-root" content="../">',
+    `<link rel="canonical" href="${escapeAttribute(pageUrl(baseUrl, lang))}">`,
+    ...renderAlternates(langs, baseUrl),
+    `<script type="application/json" id="prerenderedLocale">${data}</script>`
+  ];
+
+  return appendToHead(html, head);
+}
+
+/**
+ * Translate the data-i18n* elements and meta tags of a page; rewrite moves
+ * its ./ URLs one directory down
+ */
+function translateHtml(html, { translator, lang, baseUrl, sanitizer, rewrite }) {
+  const meta = translator.translations.meta || {};
+  const edits = [];
+
+  walkHtml(html, {
+    onStartTag(tag) {
+      if (tag.name === 'html') {
+        setAttribute(tag, 'lang', meta.lang || lang);
+        setAttribute(tag, 'dir', meta.dir || 'ltr');
+      }
+
+      if (tag.name === 'meta') {
+        const name = getAttribute(tag, 'name') || getAttribute(tag, 'property');
+        const translation = META_KEYS[name] && translate(translator, META_KEYS[name], tag);
+        if (translation) setAttribute(tag, 'content', translation);
+
+        // Link previews need absolute URLs
+        if (name === 'og:image') setAttribute(tag, 'content', new URL(getAttribute(tag, 'content'), baseUrl).href);
+      }
+
+      ['placeholder', 'title', 'alt'].forEach(name => {
+        const key = getAttribute(tag, `data-i18n-${name}`);
+        const translation = key && translate(translator, key, tag);
+        if (translation) setAttribute(tag, name, translation);
+      });
+
+      if (rewrite) rewriteUrls(tag);
+
+      if (tag.changed) {
+        edits.push({ start: tag.start, end: tag.end, text: serializeTag(tag.name, tag.attributes, tag.selfClosing) });
+      }
+    },
+
+    onEndTag(tag, endStart) {
+      const key = getAttribute(tag, 'data-i18n');
+      const translation = key && translate(translator, key, tag);
+      if (!translation) return;
+
+      const raw = getAttribute(tag, 'data-i18n-html') !== null;
+      edits.push({
+        start: tag.end,
+        end: endStart,
+        text: raw ? sanitizeHtml(translation, sanitizer, key) : escapeText(translation)
+      });
+    }
+  });
+
+  return applyEdits(html, edits);
+}
+
+/**
+ * sitemap.xml with the alternates of every page
+ */
+function renderSitemap(langs, baseUrl) {
+  const alternates = langs
+    .map(lang => `    <xhtml:link rel="alternate" hreflang="${lang}" href="${escapeAttribute(pageUrl(baseUrl, lang))}"/>`)
+    .concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeAttribute(baseUrl)}"/>`)
+    .join('\n');
+
+  const urls = [baseUrl].concat(langs.map(lang => pageUrl(baseUrl, lang)))
+    .map(url => `  <url>\n    <loc>${escapeAttribute(url)}</loc>\n${alternates}\n  </url>`);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+    `${urls.join('\n')}\n</urlset>\n`;
+}
+
+/**
+ * Render every page in memory: { path: content }
+ */
+function prerender({ baseUrl, out }) {
+  const { files, manifest } = build();
+  const { defaultNamespace } = CONFIG.i18n;
+  const langs = Object.keys(manifest.locales);
+  const source = fs.readFileSync(INDEX_PATH, 'utf8');
+  const layout = JSON.parse(fs.readFileSync(path.join(ROOT, CONFIG.data.layout), 'utf8'));
+  const html = insertSections(source, renderSections(layout));
+  const I18n = loadI18nClass();
+  const sanitizer = loadSanitizer();
+
+  const locales = {};
+  langs.forEach(lang => {
+    locales[lang] = JSON.parse(fs.readFileSync(path.join(ROOT, 'locales', `${lang}.json`), 'utf8'));
+  });
+
+  const pages = {};
+  langs.forEach(lang => {
+    const core = files[path.join(ROOT, 'locales', lang, `${defaultNamespace}.json`)];
+    const bundle = {
+      lang,
+      namespace: defaultNamespace,
+      hash: manifest.locales[lang].namespaces[defaultNamespace].hash,
+      translations: JSON.parse(core)
+    };
+
+    pages[path.join(out, lang, 'index.html')] = renderPage(html, {
+      translator: createTranslator(I18n, locales, lang),
+      lang,
+      langs,
+      baseUrl,
+      bundle,
+      sanitizer
+    });
+  });
+
+  // The x-default page, in the default language at its own URLs
+  const defaultLang = CONFIG.i18n.defaultLanguage || langs[0];
+  const root = translateHtml(removeAlternates(html), {
+    translator: createTranslator(I18n, locales, defaultLang),
+    lang: defaultLang,
+    baseUrl,
+    sanitizer,
+    rewrite: false
+  });
+  pages[path.join(out, 'index.html')] = appendToHead(root, renderAlternates(langs, baseUrl));
+  pages[path.join(out, 'sitemap.xml')] = renderSitemap(langs, baseUrl);
+  return pages;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  SITE_FILES.forEach(name => {
+    fs.cpSync(path.join(ROOT, name), path.join(options.out, name), { recursive: true });
+  });
+
+  const pages = prerender(options);
+  Object.keys(pages).forEach(file => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, pages[file]);
+    console.log(`✅ ${path.relative(process.cwd(), file)}`);
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { parseArgs, prerender, renderPage, renderSections, renderSitemap, sanitizeHtml, translateHtml, walkHtml };
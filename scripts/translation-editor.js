@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * Translation Editor Server
+ * ==========================================
+ * Serves the site for tools/translation-editor/ on 127.0.0.1 and lets the
+ * editor save in place: PUT /api/translation-editor/locales/<lang> writes
+ * locales/<lang>.json and rebuilds the bundles and manifest
+ * (scripts/build-locales.js). The editor also works from any static server,
+ * it then only exports files.
+ *
+ * Requests must be addressed to 127.0.0.1:<port> or localhost:<port>, so a
+ * page on another domain resolving to 127.0.0.1 (DNS rebinding) can't save.
+ *
+ * Usage:
+ *   node scripts/translation-editor.js [--port 8090]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { requestPath, serveStatic } = require('./analytics-stub.js');
+const { build } = require('./build-locales.js');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const REFERENCE_LANG = 'ar';
+const API_PATH = '/api/translation-editor';
+
+// Bigger than any locale file, smaller than a mistake
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = { port: 8090 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    throw new Error('--port expects a port number');
+  }
+  return options;
+}
+
+/**
+ * Validate a locale sent by the editor and return its file content
+ */
+function parseLocale(lang, body) {
+  const { languages } = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, 'languages.json'), 'utf8'));
+
+  if (lang === REFERENCE_LANG) {
+    throw new Error(`${REFERENCE_LANG}.json is the source, edit it by hand`);
+  }
+  if (!languages.some(language => language.code === lang)) {
+    throw new Error(`Unknown language "${lang}" (see locales/languages.json)`);
+  }
+
+  const locale = JSON.parse(body);
+  if (!locale || typeof locale !== 'object' || Array.isArray(locale)) {
+    throw new Error('Expected a locale object');
+  }
+  if (!locale.meta || locale.meta.lang !== lang) {
+    throw new Error(`meta.lang must be "${lang}"`);
+  }
+
+  // Same serialization as the editor's export, whatever the client sent
+  const eol = fs.readFileSync(path.join(LOCALES_DIR, `${REFERENCE_LANG}.json`), 'utf8').includes('\r\n') ? '\r\n' : '\n';
+  return JSON.stringify(locale, null, 2).replace(/\n/g, eol) + eol;
+}
+
+/**
+ * Write a locale and regenerate its bundles
+ */
+function saveLocale(lang, content) {
+  // Built first, so a locale that fails to build leaves every file as it was
+  const { files } = build({ [lang]: content });
+
+  fs.writeFileSync(path.join(LOCALES_DIR, `${lang}.json`), content);
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, files[file]);
+  });
+}
+
+/**
+ * Whether a request is addressed to this server by a local name
+ */
+function isLocalHost(req) {
+  const port = req.socket.localPort;
+  return [`127.0.0.1:${port}`, `localhost:${port}`].includes(String(req.headers.host).toLowerCase());
+}
+
+/**
+ * Build the editor server
+ */
+function createServer(onSave) {
+  return http.createServer((req, res) => {
+    if (!isLocalHost(req)) {
+      res.writeHead(403).end('Forbidden host');
+      return;
+    }
+
+    const pathname = requestPath(req);
+    if (pathname === null) {
+      res.writeHead(400).end('Bad request');
+      return;
+    }
+
+    if (pathname === API_PATH) {
+      // The editor shows its Save button when this answers
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify({ save: true }));
+      return;
+    }
+
+    const match = pathname.match(new RegExp(`^${API_PATH}/locales/([a-z]{2,3}(?:-[a-z]{2})?)$`));
+    if (!match) {
+      if (pathname.startsWith(`${API_PATH}/`)) {
+        res.writeHead(404).end('Not found');
+        return;
+      }
+      serveStatic(req, res);
+      return;
+    }
+
+    if (req.method !== 'PUT') {
+      res.writeHead(405, { Allow: 'PUT' }).end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on('end', () => {
+      const lang = match[1];
+      try {
+        onSave(lang, parseLocale(lang, body));
+        res.writeHead(204).end();
+      } catch (error) {
+        console.error(`❌ Rejected ${lang}.json: ${error.message}`);
+        res.writeHead(400).end(error.message);
+      }
+    });
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  const server = createServer((lang, content) => {
+    saveLocale(lang, content);
+    console.log(`💾 Saved locales/${lang}.json and rebuilt the bundles`);
+  });
+
+  // Local only: anyone reaching it could write to locales/
+  server.listen(options.port, '127.0.0.1', () => {
+    console.log(`✅ Translation editor on http://127.0.0.1:${options.port}/tools/translation-editor/`);
+  });
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main();
+}
+
+module.exports = { parseArgs, parseLocale, createServer };
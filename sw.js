@@ -0,0 +1,302 @@
+/**
+ * ==========================================
+ * Service Worker - Offline support
+ * ==========================================
+ * Precaches the app shell and the gallery images, serves same-origin
+ * requests stale-while-revalidate and tells the page when a revalidated
+ * shell file changed on the server, so it can offer to reload.
+ *
+ * Registered by App.setupServiceWorker() when both
+ * CONFIG.performance.enableServiceWorker and cacheAssets are on.
+ */
+
+// Bump to drop every shell/runtime cache of the previous version; must be
+// bumped whenever SHELL_URLS changes, or installed workers keep the old list
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'civistories-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+
+// Locale bundles, shared with I18n (CONFIG.i18n.cacheName)
+const LOCALE_CACHE = `${CACHE_PREFIX}locales`;
+
+// App shell: keep in sync with the <link>/<script> tags of index.html
+const SHELL_URLS = [
+  './',
+  './index.html',
+  './config.js?v=2',
+  './assets/js/theme.js?v=2',
+  './assets/css/main.css',
+  './assets/css/variables.css',
+  './assets/css/themes.css',
+  './assets/css/reset.css',
+  './assets/css/layout.css',
+  './assets/css/navbar.css',
+  './assets/css/components.css',
+  './assets/css/modals.css',
+  './assets/css/references.css',
+  './assets/css/print.css',
+  './assets/js/utils.js?v=2',
+  './assets/js/sanitizer.js?v=2',
+  './assets/js/i18n.js?v=2',
+  './assets/js/formatter.js?v=2',
+  './assets/js/sections.js?v=2',
+  './assets/js/analytics.js?v=2',
+  './assets/js/modals.js?v=2',
+  './assets/js/app.js?v=2',
+  './assets/js/content.js?v=2',
+  './assets/js/ticker.js?v=2',
+  './assets/js/gallery.js?v=2',
+  './assets/js/quiz.js?v=2',
+  './assets/js/search.js?v=2',
+  './assets/js/seo.js?v=2',
+  './assets/js/booklet.js?v=2',
+  './assets/js/speech.js?v=2',
+  './assets/js/share.js?v=2',
+  './assets/js/router.js?v=2',
+  './locales/languages.json',
+  './locales/manifest.json',
+  './data/statistics.json',
+  './data/gallery.json',
+  './data/layout.json',
+  './assets/images/logo.png',
+  './assets/images/background.jpg',
+  './assets/images/vision-bg.jpg',
+  './assets/images/book-cover.jpg',
+  './assets/images/100.png',
+  './assets/images/200.png',
+  './assets/images/300.png'
+];
+
+// Gallery images are listed in the manifest rendered by gallery.js
+const GALLERY_MANIFEST = './data/gallery.json';
+const GALLERY_PATH = '/assets/images/gallery/';
+
+// These decide which cached locale files are current: network first
+const NETWORK_FIRST_PATHS = ['/locales/manifest.json', '/locales/languages.json'];
+
+const toHref = url => new URL(url, self.location.href).href;
+const SHELL_HREFS = new Set(SHELL_URLS.map(toHref));
+const INDEX_HREF = toHref('./index.html');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+
+    // Images are large: a failed one must not block offline support
+    const urls = await getGalleryUrls(cache);
+    await Promise.all(urls.map(url =>
+      cache.add(url).catch(() => console.warn(`Not precached: ${url}`))
+    ));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE, LOCALE_CACHE];
+    const names = await caches.keys();
+
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && !keep.includes(name))
+      .map(name => caches.delete(name)));
+
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+
+  // The user accepted the update prompt
+  if (data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+
+  // Keep the chosen language available offline
+  if (data.type === 'CACHE_LOCALE' && Array.isArray(data.urls)) {
+    event.waitUntil(cacheLocaleFiles(data.urls));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    // Icon font and web fonts from their CDNs
+    if (request.destination === 'style' || request.destination === 'font') {
+      event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { navigation: true }));
+  } else if (NETWORK_FIRST_PATHS.some(path => url.pathname.endsWith(path))) {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.includes('/locales/') && url.searchParams.has('v')) {
+    // Content-hashed locale bundles never change under the same URL
+    event.respondWith(cacheFirst(request));
+  } else {
+    const cacheName = SHELL_HREFS.has(url.href) || url.pathname.includes(GALLERY_PATH)
+      ? SHELL_CACHE
+      : RUNTIME_CACHE;
+    event.respondWith(staleWhileRevalidate(event, cacheName));
+  }
+});
+
+/**
+ * Serve from cache right away, refresh the cache from the network.
+ * A changed shell file means a new deploy: the page is told about it.
+ */
+async function staleWhileRevalidate(event, cacheName, { navigation = false } = {}) {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Navigations to the root share the cached index.html (query and hash
+  // don't matter); prerendered /<lang>/ pages are cached under their own URL
+  const page = url.href.split(/[?#]/)[0];
+  const isIndex = navigation && (page === INDEX_HREF || page === toHref('./'));
+  const cacheKey = isIndex ? INDEX_HREF : request;
+  const cached = await caches.match(cacheKey, { ignoreSearch: navigation });
+
+  // The page may consume the cached body before the network answers
+  const cachedCopy = cached ? cached.clone() : null;
+
+  const network = fetch(request)
+    .then(async (response) => {
+      if (!response || !(response.ok || response.type === 'opaque')) return response;
+
+      const cache = await caches.open(cacheName);
+      if (cachedCopy && (isIndex || SHELL_HREFS.has(url.href)) && await hasChanged(cachedCopy, response)) {
+        notifyClients({ type: 'CONTENT_UPDATED', url: url.href });
+      }
+      await cache.put(cacheKey, response.clone());
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  const response = await network;
+  if (response) return response;
+
+  // Offline and never seen: fall back to the app shell for pages
+  if (navigation) {
+    const shell = await caches.match(INDEX_HREF);
+    if (shell) return shell;
+  }
+  return Response.error();
+}
+
+/**
+ * Image URLs of the (just precached) gallery manifest, every responsive size
+ */
+async function getGalleryUrls(cache) {
+  try {
+    const response = await cache.match(toHref(GALLERY_MANIFEST));
+    const { images = [] } = await response.json();
+
+    return images.reduce((urls, image) => urls.concat(
+      image.src,
+      (image.sources || []).map(source => source.src)
+    ), []).filter((url, index, all) => url && all.indexOf(url) === index);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Network, falling back to the cache when offline
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || Response.error();
+  }
+}
+
+/**
+ * Cache, falling back to the network for versioned locale files
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await putLocaleFile(request.url, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Store a locale file and drop older versions of it (same eviction as I18n)
+ */
+async function putLocaleFile(url, response) {
+  const cache = await caches.open(LOCALE_CACHE);
+  const current = new URL(url);
+  const requests = await cache.keys();
+
+  await Promise.all(requests
+    .filter(request => {
+      const cached = new URL(request.url);
+      return cached.pathname === current.pathname && cached.search !== current.search;
+    })
+    .map(request => cache.delete(request)));
+
+  await cache.put(url, response);
+}
+
+/**
+ * Download the files of a locale that aren't cached yet
+ */
+async function cacheLocaleFiles(urls) {
+  await Promise.all(urls.map(async (url) => {
+    const href = toHref(url);
+    if (await caches.match(href)) return;
+
+    try {
+      const response = await fetch(href);
+      if (response.ok) await putLocaleFile(href, response);
+    } catch (error) {
+      // Offline right now, the next language change will retry
+    }
+  }));
+}
+
+/**
+ * Compare a cached response (consumed) with a fresh one (left readable)
+ */
+async function hasChanged(cached, fresh) {
+  const tag = response => response.headers.get('ETag') || response.headers.get('Last-Modified');
+  if (tag(cached) && tag(fresh)) {
+    return tag(cached) !== tag(fresh);
+  }
+
+  const [a, b] = await Promise.all([cached.arrayBuffer(), fresh.clone().arrayBuffer()]);
+  if (a.byteLength !== b.byteLength) return true;
+
+  const left = new Uint8Array(a);
+  const right = new Uint8Array(b);
+  return left.some((byte, i) => byte !== right[i]);
+}
+
+/**
+ * Post a message to every open page
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,699 @@
+/**
+ * ==========================================
+ * Translation Editor - Locales side by side
+ * ==========================================
+ * Offline editor for locales/<lang>.json. Every string of the reference
+ * locale (ar.json) is shown next to its translation, array items (program
+ * questions and answers) one by one, with markers:
+ *   missing   no translation yet
+ *   outdated  a placeholder or an HTML tag of the source is missing, or the
+ *             source changed since the string was edited in this browser
+ *   invalid   HTML the site's sanitizer would remove, unclosed tags,
+ *             unbalanced ICU braces, or markup in a plain text key
+ *
+ * Export writes the locale in the key order and line endings of ar.json
+ * (JSON.stringify does the escaping); served by scripts/translation-editor.js
+ * it can also be saved in place. The live preview loads index.html and
+ * applies the translation with I18n.translatePage().
+ */
+
+const EDITOR_ROOT = '../../';
+const EDITOR_SOURCE_LANG = 'ar';
+const EDITOR_SAVE_ENDPOINT = '/api/translation-editor';
+const EDITOR_STORAGE_PREFIX = 'translation_editor_';
+
+// Strings that scripts render as HTML (Sanitizer.setHTML), besides the
+// data-i18n-html elements of index.html and the html sections of the layout
+const EDITOR_HTML_KEYS = [
+  /^programs\.data\.[^.]+\.(questions|answers)\.\d+$/,
+  /^references\.modals\.[^.]+\.content$/
+];
+
+// HTML strings rendered inside buttons and headings (Sanitizer.setInlineHTML)
+const EDITOR_INLINE_KEYS = [
+  /^programs\.data\.[^.]+\.questions\.\d+$/
+];
+
+// Values the site reads as code (ticker statistics, routes and links, quiz
+// levels): not translated, copied from the source as scripts/convert-locales.js does
+const EDITOR_FIXED_KEYS = ['stat', 'route', 'link', 'severity', 'start', 'end', 'level'];
+
+// Elements without a closing tag
+const EDITOR_VOID_TAGS = ['br', 'hr', 'img', 'wbr'];
+
+class TranslationEditor {
+  constructor() {
+    this.languages = [];
+    this.source = null;
+    this.entries = [];
+    this.target = {};
+    this.values = {};
+    this.snapshots = {};
+    this.htmlKeys = new Set();
+    this.lang = null;
+    this.eol = '\n';
+    this.filter = 'all';
+    this.query = '';
+    this.rows = new Map();
+    this.previewTimer = null;
+  }
+
+  /**
+   * Load the reference locale and the languages, then the last target
+   */
+  async init() {
+    this.el = {
+      lang: document.getElementById('targetLang'),
+      file: document.getElementById('targetFile'),
+      dir: document.getElementById('targetDir'),
+      exportBtn: document.getElementById('exportBtn'),
+      saveBtn: document.getElementById('saveBtn'),
+      previewBtn: document.getElementById('previewBtn'),
+      filterText: document.getElementById('filterText'),
+      summary: document.getElementById('summary'),
+      status: document.getElementById('status'),
+      rows: document.getElementById('rows'),
+      preview: document.getElementById('preview'),
+      frame: document.getElementById('previewFrame')
+    };
+
+    this.el.lang.addEventListener('change', () => this.loadTarget(this.el.lang.value));
+    this.el.file.addEventListener('change', () => this.openFile(this.el.file.files[0]));
+    this.el.dir.addEventListener('change', () => this.applyDirection());
+    this.el.exportBtn.addEventListener('click', () => this.exportFile());
+    this.el.saveBtn.addEventListener('click', () => this.save());
+    this.el.previewBtn.addEventListener('click', () => this.togglePreview());
+    this.el.filterText.addEventListener('input', () => {
+      this.query = this.el.filterText.value.trim().toLowerCase();
+      this.applyFilter();
+    });
+    document.querySelectorAll('input[name="filter"]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.filter = input.value;
+        this.applyFilter();
+      });
+    });
+
+    try {
+      const [languages, source] = await Promise.all([
+        this.fetchText('locales/languages.json'),
+        this.fetchText(`locales/${EDITOR_SOURCE_LANG}.json`)
+      ]);
+      this.languages = JSON.parse(languages).languages || [];
+      this.eol = source.includes('\r\n') ? '\r\n' : '\n';
+      this.source = JSON.parse(source);
+      this.entries = this.flatten(this.source, '');
+      await this.collectHtmlKeys();
+    } catch (error) {
+      this.setStatus(`Could not load locales/${EDITOR_SOURCE_LANG}.json: ${error.message}. ` +
+        'Serve the site (node scripts/translation-editor.js) instead of opening the file.');
+      return;
+    }
+
+    this.languages.filter(language => language.code !== EDITOR_SOURCE_LANG).forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.code;
+      option.textContent = `${language.name} (${language.code})`;
+      this.el.lang.appendChild(option);
+    });
+
+    this.el.saveBtn.hidden = !(await this.canSave());
+
+    const last = this.getStored('last_lang');
+    if (last && this.languages.some(language => language.code === last)) this.el.lang.value = last;
+    if (this.el.lang.value) await this.loadTarget(this.el.lang.value);
+  }
+
+  /**
+   * Fetch a file of the site as text
+   */
+  async fetchText(path) {
+    const response = await fetch(`${EDITOR_ROOT}${path}`, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.text();
+  }
+
+  /**
+   * Keys shown as HTML: data-i18n-html elements of index.html and the html
+   * text sections of data/layout.json
+   */
+  async collectHtmlKeys() {
+    const [page, layout] = await Promise.all([
+      this.fetchText('index.html').catch(() => ''),
+      this.fetchText('data/layout.json').catch(() => '{}')
+    ]);
+
+    new DOMParser().parseFromString(page, 'text/html')
+      .querySelectorAll('[data-i18n-html][data-i18n]')
+      .forEach(element => this.htmlKeys.add(element.getAttribute('data-i18n')));
+
+    (JSON.parse(layout).sections || [])
+      .filter(section => section.html && section.content)
+      .forEach(section => this.htmlKeys.add(section.content));
+  }
+
+  /**
+   * Whether scripts/translation-editor.js serves the page (it can save)
+   */
+  async canSave() {
+    try {
+      const response = await fetch(EDITOR_SAVE_ENDPOINT, { cache: 'no-cache' });
+      return response.ok && (await response.json()).save === true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * String leaves of a locale tree: [{ key, source }], array items included
+   */
+  flatten(node, prefix) {
+    return Object.keys(node).reduce((all, key) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = node[key];
+
+      if (EDITOR_FIXED_KEYS.includes(key)) return all;
+      if (value && typeof value === 'object') return all.concat(this.flatten(value, path));
+      if (typeof value === 'string') all.push({ key: path, source: value });
+      return all;
+    }, []);
+  }
+
+  /**
+   * Value at a dot path, or undefined
+   */
+  lookup(tree, path) {
+    return path.split('.').reduce((node, key) =>
+      (node && typeof node === 'object' && key in node ? node[key] : undefined), tree);
+  }
+
+  /**
+   * Load locales/<lang>.json, or start an empty translation
+   */
+  async loadTarget(lang) {
+    let target = {};
+    try {
+      target = JSON.parse(await this.fetchText(`locales/${lang}.json`));
+      this.setStatus(`Loaded locales/${lang}.json`);
+    } catch (error) {
+      this.setStatus(`locales/${lang}.json doesn't exist yet, starting a new translation`);
+    }
+    this.setTarget(lang, target);
+  }
+
+  /**
+   * Open a locale file from the disk
+   */
+  async openFile(file) {
+    if (!file) return;
+
+    let target;
+    try {
+      target = JSON.parse(await file.text());
+    } catch (error) {
+      this.setStatus(`${file.name} is not valid JSON: ${error.message}`);
+      return;
+    }
+
+    const lang = (target.meta && target.meta.lang) || file.name.replace(/\.json$/, '');
+    if (!this.languages.some(language => language.code === lang)) {
+      this.setStatus(`${file.name}: unknown language "${lang}" (see locales/languages.json)`);
+      return;
+    }
+
+    this.el.lang.value = lang;
+    this.el.file.value = '';
+    this.setTarget(lang, target);
+    this.setStatus(`Opened ${file.name}`);
+  }
+
+  /**
+   * Use a parsed locale as the translation being edited
+   */
+  setTarget(lang, target) {
+    const language = this.languages.find(item => item.code === lang) || {};
+
+    this.lang = lang;
+    this.target = target;
+    this.values = {};
+    this.flatten(target, '').forEach(entry => { this.values[entry.key] = entry.source; });
+
+    // meta drives <html lang dir>, it isn't translated
+    this.values['meta.lang'] = lang;
+    this.values['meta.dir'] = language.dir || this.values['meta.dir'] || 'ltr';
+
+    this.snapshots = JSON.parse(this.getStored(`sources_${lang}`) || '{}');
+    this.setStored('last_lang', lang);
+
+    this.renderRows();
+    this.applyPreview();
+  }
+
+  /**
+   * Text direction of the translation
+   */
+  getDir() {
+    return this.el.dir.value === 'auto' ? this.values['meta.dir'] || 'ltr' : this.el.dir.value;
+  }
+
+  /**
+   * Build one row per source string
+   */
+  renderRows() {
+    this.rows.clear();
+    const fragment = document.createDocumentFragment();
+
+    this.entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'editor-row';
+
+      const head = document.createElement('div');
+      head.className = 'editor-key';
+      const key = document.createElement('code');
+      key.textContent = entry.key;
+      const badges = document.createElement('span');
+      badges.className = 'editor-badges';
+      head.append(key, badges);
+
+      const source = document.createElement('div');
+      source.className = 'editor-source';
+      source.lang = EDITOR_SOURCE_LANG;
+      source.dir = this.source.meta.dir;
+      source.textContent = entry.source;
+
+      const input = document.createElement('textarea');
+      input.className = 'editor-target';
+      input.lang = this.lang;
+      input.value = this.values[entry.key] || '';
+      input.rows = Math.min(8, Math.max(entry.source.split('\n').length, input.value.split('\n').length, 1));
+      input.readOnly = entry.key.startsWith('meta.');
+      input.setAttribute('aria-label', entry.key);
+      input.addEventListener('input', () => this.onInput(entry, input.value));
+
+      const rendered = document.createElement('div');
+      rendered.className = 'editor-rendered';
+
+      const problems = document.createElement('ul');
+      problems.className = 'editor-problems';
+
+      row.append(head, source, input, rendered, problems);
+      fragment.appendChild(row);
+      this.rows.set(entry.key, { entry, row, badges, input, rendered, problems });
+    });
+
+    this.el.rows.replaceChildren(fragment);
+    this.applyDirection();
+    this.rows.forEach(row => this.updateRow(row));
+    this.updateSummary();
+    this.applyFilter();
+  }
+
+  /**
+   * A translation was typed
+   */
+  onInput(entry, value) {
+    this.values[entry.key] = value;
+
+    // Remember the source it was translated from, to spot later source edits
+    this.snapshots[entry.key] = entry.source;
+    this.setStored(`sources_${this.lang}`, JSON.stringify(this.snapshots));
+
+    this.updateRow(this.rows.get(entry.key));
+    this.updateSummary();
+    this.schedulePreview();
+  }
+
+  /**
+   * State of a translation: { state, problems: [{ level, message }] }
+   */
+  inspect(entry) {
+    const value = this.values[entry.key];
+    if (value === undefined || value === '') return { state: 'missing', problems: [] };
+
+    const problems = [];
+    const add = (level, message) => problems.push({ level, message });
+
+    this.placeholders(entry.source)
+      .filter(name => !this.placeholders(value).includes(name))
+      .forEach(name => add('outdated', `Placeholder {${name}} of the source is missing`));
+
+    if ((value.match(/\{/g) || []).length !== (value.match(/\}/g) || []).length) {
+      add('invalid', 'Unbalanced { } braces');
+    }
+
+    if (this.isHtml(entry.key)) {
+      const removed = Sanitizer.check(value, this.allowedTags(entry.key));
+      if (removed.length) add('invalid', `Removed by the site's sanitizer: ${removed.join(', ')}`);
+      this.checkTags(value).forEach(message => add('invalid', message));
+
+      this.tags(entry.source)
+        .filter(tag => !this.tags(value).includes(tag))
+        .forEach(tag => add('outdated', `The source uses <${tag}>`));
+    } else if (/<\/?[a-z][^>]*>/i.test(value) && !/<\/?[a-z][^>]*>/i.test(entry.source)) {
+      add('invalid', 'Markup is shown as plain text for this key');
+    }
+
+    if (this.snapshots[entry.key] !== undefined && this.snapshots[entry.key] !== entry.source) {
+      add('outdated', 'The source changed since this string was edited');
+    }
+
+    const state = problems.some(problem => problem.level === 'invalid') ? 'invalid'
+      : problems.length ? 'outdated' : 'ok';
+    return { state, problems };
+  }
+
+  /**
+   * Whether a key is rendered as HTML
+   */
+  isHtml(key) {
+    return this.htmlKeys.has(key) || EDITOR_HTML_KEYS.some(pattern => pattern.test(key));
+  }
+
+  /**
+   * Tags the site keeps for an HTML key (undefined: Sanitizer's default)
+   */
+  allowedTags(key) {
+    return EDITOR_INLINE_KEYS.some(pattern => pattern.test(key)) ? Sanitizer.inlineTags : undefined;
+  }
+
+  /**
+   * ICU argument names of a message ({name}, {count, plural, ...})
+   */
+  placeholders(text) {
+    return Array.from(text.matchAll(/\{\s*([A-Za-z_]\w*)\s*[,}]/g), match => match[1]);
+  }
+
+  /**
+   * Tag names used in an HTML string
+   */
+  tags(html) {
+    return [...new Set(Array.from(html.matchAll(/<([a-z][a-z0-9]*)\b/gi), match => match[1].toLowerCase()))];
+  }
+
+  /**
+   * Unclosed and unexpected closing tags
+   */
+  checkTags(html) {
+    const open = [];
+    const problems = [];
+
+    for (const [tag, closing, name, selfClosing] of html.matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>/gi)) {
+      const element = name.toLowerCase();
+      if (EDITOR_VOID_TAGS.includes(element) || selfClosing) continue;
+
+      if (!closing) {
+        open.push(element);
+      } else if (open[open.length - 1] === element) {
+        open.pop();
+      } else {
+        problems.push(`Unexpected ${tag}`);
+      }
+    }
+
+    return problems.concat(open.map(element => `<${element}> is not closed`));
+  }
+
+  /**
+   * Refresh the markers, problems and HTML preview of a row
+   */
+  updateRow(row) {
+    const { entry } = row;
+    const { state, problems } = this.inspect(entry);
+    const value = this.values[entry.key] || '';
+
+    row.state = state;
+    row.row.dataset.state = state;
+
+    const badges = [state === 'ok' ? null : state, this.isHtml(entry.key) ? 'html' : null].filter(Boolean);
+    row.badges.replaceChildren(...badges.map(badge => {
+      const span = document.createElement('span');
+      span.className = `editor-badge editor-badge-${badge}`;
+      span.textContent = badge;
+      return span;
+    }));
+
+    row.problems.replaceChildren(...problems.map(problem => {
+      const item = document.createElement('li');
+      item.className = `editor-problem-${problem.level}`;
+      item.textContent = problem.message;
+      return item;
+    }));
+
+    // What the site shows for HTML strings (removals are listed above, not
+    // reported on the console)
+    row.rendered.hidden = !this.isHtml(entry.key) || !value;
+    if (!row.rendered.hidden) {
+      const fragment = document.createDocumentFragment();
+      Sanitizer.copyChildren(Sanitizer.parse(value), fragment, [], this.allowedTags(entry.key));
+      row.rendered.replaceChildren(fragment);
+    }
+  }
+
+  /**
+   * Counts per state
+   */
+  updateSummary() {
+    const counts = { missing: 0, outdated: 0, invalid: 0 };
+    this.rows.forEach(row => {
+      if (counts[row.state] !== undefined) counts[row.state]++;
+    });
+
+    const done = this.rows.size - counts.missing;
+    this.el.summary.textContent = `${done} / ${this.rows.size} translated · ` +
+      `${counts.missing} missing · ${counts.outdated} outdated · ${counts.invalid} invalid`;
+  }
+
+  /**
+   * Show the rows matching the state filter and the search text
+   */
+  applyFilter() {
+    this.rows.forEach(row => {
+      const matchesState = this.filter === 'all' || row.state === this.filter;
+      const text = `${row.entry.key}\n${row.entry.source}\n${this.values[row.entry.key] || ''}`.toLowerCase();
+      row.row.hidden = !matchesState || (this.query && !text.includes(this.query));
+    });
+  }
+
+  /**
+   * Lay the translations out in their direction
+   */
+  applyDirection() {
+    const dir = this.getDir();
+    this.rows.forEach(row => {
+      row.input.dir = dir;
+      row.rendered.dir = dir;
+    });
+    this.applyPreview();
+  }
+
+  /**
+   * The translation as a locale tree, in the key order of the source.
+   * Missing strings are left out (I18n falls back to ar for them); an array
+   * is either fully translated or left out, so questions stay paired with
+   * their answers. Keys the source doesn't have are kept at the end.
+   */
+  buildLocale() {
+    // { value, translated, data }: translated when a string of the subtree
+    // is, data when it holds no translatable string (copied as is)
+    const build = (node, prefix, fixed) => {
+      if (node && typeof node === 'object') {
+        const entries = Object.keys(node).map(key => ({
+          key,
+          child: build(node[key], prefix ? `${prefix}.${key}` : key, fixed || EDITOR_FIXED_KEYS.includes(key))
+        }));
+
+        if (entries.every(({ child }) => child.data)) return { value: node, translated: false, data: true };
+
+        if (Array.isArray(node)) {
+          const complete = entries.every(({ child }) => child.translated || child.data);
+          return complete
+            ? { value: entries.map(({ child }) => child.value), translated: true }
+            : { value: undefined, translated: false };
+        }
+
+        const value = {};
+        entries.forEach(({ key, child }) => {
+          if (child.translated || child.data) value[key] = child.value;
+        });
+        return { value, translated: entries.some(({ child }) => child.translated) };
+      }
+
+      if (typeof node !== 'string' || fixed) {
+        const value = fixed ? undefined : this.lookup(this.target, prefix);
+        return { value: value !== undefined ? value : node, translated: false, data: true };
+      }
+
+      const value = this.values[prefix];
+      return value !== undefined && value !== ''
+        ? { value, translated: true }
+        : { value: undefined, translated: false };
+    };
+
+    const locale = {};
+    Object.keys(this.source).forEach(key => {
+      const child = build(this.source[key], key, EDITOR_FIXED_KEYS.includes(key));
+      if (child.translated) locale[key] = child.value;
+    });
+    this.mergeExtra(locale, this.target, this.source);
+    return locale;
+  }
+
+  /**
+   * Copy the keys of target that source doesn't have into locale
+   */
+  mergeExtra(locale, target, source) {
+    Object.keys(target).forEach(key => {
+      if (!(key in source)) {
+        locale[key] = target[key];
+      } else if (this.isObject(target[key]) && this.isObject(source[key]) && this.isObject(locale[key])) {
+        this.mergeExtra(locale[key], target[key], source[key]);
+      }
+    });
+  }
+
+  /**
+   * Plain object (not an array)
+   */
+  isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * The locale file content: 2-space JSON with the line endings of ar.json
+   */
+  serialize() {
+    return JSON.stringify(this.buildLocale(), null, 2).replace(/\n/g, this.eol) + this.eol;
+  }
+
+  /**
+   * Download locales/<lang>.json
+   */
+  exportFile() {
+    if (!this.lang) return;
+
+    const url = URL.createObjectURL(new Blob([this.serialize()], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.lang}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    this.setStatus(`Exported ${this.lang}.json, replace locales/${this.lang}.json with it`);
+  }
+
+  /**
+   * Write locales/<lang>.json through scripts/translation-editor.js
+   */
+  async save() {
+    if (!this.lang) return;
+
+    try {
+      const response = await fetch(`${EDITOR_SAVE_ENDPOINT}/locales/${this.lang}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: this.serialize()
+      });
+      if (!response.ok) throw new Error(await response.text() || `HTTP ${response.status}`);
+      this.setStatus(`Saved locales/${this.lang}.json and rebuilt the locale bundles`);
+    } catch (error) {
+      this.setStatus(`Could not save: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show or hide the live preview
+   */
+  togglePreview() {
+    const open = this.el.preview.hidden;
+    this.el.preview.hidden = !open;
+    this.el.previewBtn.setAttribute('aria-pressed', String(open));
+    document.body.classList.toggle('has-preview', open);
+
+    if (open && !this.el.frame.getAttribute('src')) {
+      this.el.frame.addEventListener('load', () => this.onPreviewLoad());
+      this.el.frame.src = `${EDITOR_ROOT}index.html`;
+    } else {
+      this.applyPreview();
+    }
+  }
+
+  /**
+   * Apply the translation once the page has loaded its own language
+   */
+  onPreviewLoad() {
+    const win = this.el.frame.contentWindow;
+    if (win.i18n && win.i18n.getCurrentLang()) {
+      this.applyPreview();
+    } else {
+      win.addEventListener('languageChanged', () => this.applyPreview(), { once: true });
+    }
+  }
+
+  /**
+   * Update the preview shortly after typing stops
+   */
+  schedulePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.applyPreview(), 300);
+  }
+
+  /**
+   * Put the translation in the preview's I18n and translate its page
+   */
+  applyPreview() {
+    if (!this.el || this.el.preview.hidden || !this.lang) return;
+
+    const win = this.el.frame.contentWindow;
+    const i18n = win && win.i18n;
+    if (!i18n || !i18n.getCurrentLang()) return;
+
+    const translations = this.buildLocale();
+    i18n.currentLang = this.lang;
+    i18n.loadedLocales[this.lang] = translations;
+    i18n.translations = translations;
+
+    win.document.documentElement.lang = this.lang;
+    win.document.documentElement.dir = this.getDir();
+    i18n.translatePage();
+  }
+
+  /**
+   * Status line
+   */
+  setStatus(message) {
+    this.el.status.textContent = message;
+  }
+
+  /**
+   * Editor preferences in localStorage
+   */
+  getStored(name) {
+    try {
+      return localStorage.getItem(EDITOR_STORAGE_PREFIX + name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setStored(name, value) {
+    try {
+      localStorage.setItem(EDITOR_STORAGE_PREFIX + name, value);
+    } catch (error) {
+      console.warn('Failed to save editor state');
+    }
+  }
+}
+
+// Create global instance
+const translationEditor = new TranslationEditor();
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => translationEditor.init());
+} else {
+  translationEditor.init();
+}
+
+// Export for debugging from the console
+window.translationEditor = translationEditor;